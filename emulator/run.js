@@ -0,0 +1,79 @@
+/*********************************************************************************************************
+ * @title: Offline Shelly runtime emulator - command line runner
+ * @(C): Jonas Bjurel et Al.
+ * @License: Apache 2
+ * @description:
+ * Loads one or more scripts onto an emulated Shelly device and exposes the device HTTP API on a local
+ * port, such that the shedder can be driven with the same URLs as a real device:
+ *   node emulator/run.js [--port <port>] [--switches <n>] [--meter <type>:<id>] [--quiet] <script.js> [<script.js> ...]
+ *   curl "http://localhost:8080/script/1/shedder?getLoadStatus"
+ *   curl "http://localhost:8080/rpc/Emulator.SetCurrent?id=3&current=12"
+ *   curl "http://localhost:8080/rpc/Emulator.SetMeterCurrent?type=em1&id=0&current=20"
+ * The script name is the file name without extension, the script ids are assigned in argument order.
+ *********************************************************************************************************/
+
+"use strict";
+
+const http = require("http");
+const path = require("path");
+const emulator = require("./shelly_emulator");
+
+/* function parseArgs(argv);
+ * Parses the command line arguments */
+function parseArgs(argv) {
+  let args = {port: 8080, switches: 4, meters: [], echo: true, scripts: []};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--port":
+        args.port = Number(argv[++i]);
+        break;
+      case "--switches":
+        args.switches = Number(argv[++i]);
+        break;
+      case "--meter":
+        args.meters.push({type: argv[++i].split(":")[0], id: Number(argv[i].split(":")[1] || 0)});
+        break;
+      case "--quiet":
+        args.echo = false;
+        break;
+      default:
+        args.scripts.push(argv[i]);
+        break;
+    }
+  }
+  return args;
+}
+
+/* function main();
+ * Creates the emulated device, loads the scripts and starts the HTTP front-end */
+function main() {
+  let args = parseArgs(process.argv.slice(2));
+  if (!args.scripts.length) {
+    console.error("Usage: node emulator/run.js [--port <port>] [--switches <n>] [--meter <type>:<id>] [--quiet] " +
+                  "<script.js> [<script.js> ...]");
+    process.exit(1);
+  }
+  let device = emulator.createDevice({switches: args.switches, meters: args.meters, echo: args.echo});
+  args.scripts.forEach(function(file) {
+    let script = device.loadScript(path.basename(file, path.extname(file)), file);
+    console.log("Loaded script " + script.name + " with id " + script.id);
+  });
+  http.createServer(function(req, res) {
+    let u = new URL(req.url, "http://localhost");
+    let chunks = [];
+    req.on("data", function(chunk) { chunks.push(chunk); });
+    req.on("end", function() {
+      emulator.serveHttp(device, req.method, u.pathname, u.search.slice(1), Buffer.concat(chunks).toString(),
+                         function(code, body, headers) {
+                           let head = {};
+                           (Array.isArray(headers) ? headers : []).forEach(function(h) { head[h[0]] = h[1]; });
+                           res.writeHead(code, head);
+                           res.end(body);
+                         });
+    });
+  }).listen(args.port, function() {
+    console.log("Emulated Shelly listening on http://localhost:" + args.port);
+  });
+}
+
+main();
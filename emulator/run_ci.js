@@ -0,0 +1,138 @@
+/*********************************************************************************************************
+ * @title: Time-accelerated CI verification runner
+ * @(C): Jonas Bjurel et Al.
+ * @License: Apache 2
+ * @description:
+ * Runs the shedder CI verification suite (shedder_ci.js) against the shedder script (shedder.js) on an
+ * emulated Shelly device driven by a virtual clock. The CI suite and the shedder share the clock, hence
+ * trip-, cool-down- and test-load timers complete in milliseconds and the result is deterministic:
+ *   node emulator/run_ci.js [--shedder <shedder.js>] [--ci <shedder_ci.js>] [--max-time <s>] [--verbose]
+ * Exits with 0 if all test cases passed, otherwise 1.
+ *********************************************************************************************************/
+
+"use strict";
+
+const path = require("path");
+const emulator = require("./shelly_emulator");
+
+const ROOT = path.join(__dirname, "..");
+const REMOTE_LOADS = [5, 7, 3];                         // Currents of the remote-1, remote-2, ... switch 0 loads
+
+/* function parseArgs(argv);
+ * Parses the command line arguments */
+function parseArgs(argv) {
+  let args = {shedder: path.join(ROOT, "shedder.js"), ci: path.join(ROOT, "shedder_ci.js"),
+              max_time: 7200, verbose: false};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--shedder":
+        args.shedder = argv[++i];
+        break;
+      case "--ci":
+        args.ci = argv[++i];
+        break;
+      case "--max-time":
+        args.max_time = Number(argv[++i]);
+        break;
+      case "--verbose":
+        args.verbose = true;
+        break;
+      default:
+        console.error("Unknown argument: " + argv[i]);
+        process.exit(1);
+    }
+  }
+  return args;
+}
+
+/* function runCI(args);
+ * Runs the CI suite on a virtual clock, returns {passed, virtual_time, phase, sub_phase, assertion, error}.
+ * Remote single switch devices "remote-1", "remote-2", ... carrying the "REMOTE_LOADS" currents share the
+ * network with the device running the scripts, for the test cases of remote channels, the next one is
+ * offline for the test cases of unreachable channels. The device is connected to an emulated MQTT broker,
+ * for the test cases of the MQTT commands, and the HTTP sinks "webhook-sink" and "failing-sink" (answering
+ * 500) receive the status webhooks. As the CI suite sets verification_phase to -1 on failure, the last test
+ * phase and sub-phase seen before that are reported, together with the last error logged by the CI suite as
+ * the failed assertion. "emulated_network" is set in the CI suite to enable the test cases relying on the
+ * emulated network */
+function runCI(args) {
+  let clock = emulator.createVirtualClock();
+  let network = emulator.createNetwork();
+  let device = emulator.createDevice({clock: clock, network: network, mqtt: true});
+  for (let i = 0; i < REMOTE_LOADS.length; i++)
+    emulator.createDevice({clock: clock, network: network, addr: "remote-" + (i + 1), switches: 1})
+            .setCurrent(0, REMOTE_LOADS[i]);
+  emulator.createDevice({clock: clock, network: network, addr: "remote-" + (REMOTE_LOADS.length + 1), switches: 1})
+          .setOnline(false);
+  emulator.createHttpSink({network: network, addr: "webhook-sink"});
+  emulator.createHttpSink({network: network, addr: "failing-sink", code: 500});
+  let logged = 0;
+  let phase = undefined;
+  let sub_phase = undefined;
+  let assertion = undefined;
+  let flush = function() {
+    for (; logged < device.logs.length; logged++) {
+      let entry = device.logs[logged];
+      if (entry.script == "shedder_ci" && entry.line.indexOf("ERROR") != -1)
+        assertion = entry.line;
+      if (args.verbose || entry.script == "shedder_ci")
+        console.log("[" + (entry.ts / 1000).toFixed(1) + " s] " + entry.line);
+    }
+  };
+  device.loadScript("shedder", args.shedder);
+  let ci = device.loadScript("shedder_ci", args.ci);
+  ci.eval("emulated_network = true");
+  let finished = clock.runUntil(function() {
+    flush();
+    if (!ci.running)
+      return true;
+    let current_phase = ci.eval("verification_phase");
+    if (current_phase >= 0) {
+      phase = current_phase;
+      sub_phase = ci.eval("verification_sub_phase");
+    }
+    return ci.eval("verification_done") || current_phase == -1;
+  }, args.max_time * 1000);
+  flush();
+  return {passed: finished && ci.running && ci.eval("verification_done"), virtual_time: clock.now() / 1000,
+          phase: phase, sub_phase: sub_phase, assertion: assertion, finished: finished, error: ci.error};
+}
+
+/* function testCase(result);
+ * Names the test case of the given result, phase 0 is the CI setup */
+function testCase(result) {
+  if (!def(result.phase))
+    return "setup";
+  return (result.phase == 0 ? "setup" : "TC-" + result.phase) + " (sub-phase " + result.sub_phase + ")";
+}
+
+/* function def(o);
+ * Check if defined */
+function def(o) {
+  return typeof o !== "undefined";
+}
+
+/* function main();
+ * Runs the CI suite and reports the verdict */
+function main() {
+  let args = parseArgs(process.argv.slice(2));
+  let started = Date.now();
+  let result = runCI(args);
+  let summary = " after " + result.virtual_time.toFixed(1) + " virtual seconds (" +
+                ((Date.now() - started) / 1000).toFixed(2) + " s real time)";
+  if (result.passed)
+    console.log("CI PASSED" + summary);
+  else if (!result.finished)
+    console.log("CI FAILED: did not finish within " + args.max_time + " virtual seconds, stuck in " +
+                testCase(result) + summary);
+  else
+    console.log("CI FAILED in " + testCase(result) + summary + ": " +
+                (def(result.assertion) ? result.assertion :
+                 def(result.error) ? String(result.error) : "no assertion logged"));
+  process.exit(result.passed ? 0 : 1);
+}
+
+if (require.main === module)
+  main();
+
+module.exports = {runCI: runCI};
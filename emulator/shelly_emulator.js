@@ -0,0 +1,988 @@
+/*********************************************************************************************************
+ * @title: Offline Shelly scripting runtime emulator
+ * @(C): Jonas Bjurel et Al.
+ * @License: Apache 2
+ * @description:
+ * Emulates the Shelly scripting globals used by the shedder scripts (Shelly.call, Shelly.emitEvent,
+ * Shelly.addEventHandler, Shelly.getComponentStatus, Timer.set, HTTPServer.registerEndpoint, MQTT, the KVS.*
+ * RPCs, HTTP.GET, ...) such that the unmodified scripts can be loaded and driven from Node.
+ * Each emulated device carries a set of virtual switches with settable currents and a KVS store with
+ * revision numbers. Several devices can be connected through a network to emulate distributed shedding
+ * groups, HTTP requests towards addresses not part of the network are sent for real.
+ * A detailed description can be found here: https://github.com/jonasbjurel/shellyShedder/blob/main/README.md
+ *********************************************************************************************************/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const http = require("http");
+
+/********************************************    Constants ***********************************************/
+const CALL_LIMIT = 5;                                                                  // Max concurrent Shelly.call per script
+const HTTP_TIMEOUT = 10;                                                               // Default HTTP.* timeout [s]
+const DEFER_LIMIT = 100000;                                                            // Max deferred executions per virtual instant
+const ERR_INVALID_ARGUMENT = -103;
+const ERR_DEADLINE_EXCEEDED = -104;
+const ERR_NOT_FOUND = -105;
+const ERR_UNAVAILABLE = -114;
+/*********************************************************************************************************/
+
+
+
+
+/*********************************************************************************************************/
+/*                                              Helpers                                                  */
+/*********************************************************************************************************/
+
+/* function def(o);
+ * Check if defined */
+function def(o) {
+  return typeof o !== "undefined";
+}
+
+/* function copy(o);
+ * Deep copies a JSON value, emulating the serialization happening at every RPC boundary */
+function copy(o) {
+  return def(o) ? JSON.parse(JSON.stringify(o)) : undefined;
+}
+
+/* function rpcError(code, message);
+ * Creates an RPC error record */
+function rpcError(code, message) {
+  return {error_code: code, error_message: message};
+}
+
+/* function parseRpcQuery(query);
+ * Parses RPC HTTP GET query parameters, values are interpreted as JSON when possible */
+function parseRpcQuery(query) {
+  let params = {};
+  for (const [key, value] of new URLSearchParams(query)) {
+    try {
+      params[key] = JSON.parse(value);
+    }
+    catch (error) {
+      params[key] = value;
+    }
+  }
+  return params;
+}
+
+/* function matchKey(pattern, key);
+ * Matches a KVS key against a "*" wildcard pattern */
+function matchKey(pattern, key) {
+  if (!def(pattern) || pattern === null) return true;
+  let re = "^" + String(pattern).split("*").map(function(part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  }).join(".*") + "$";
+  return new RegExp(re).test(key);
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                               Clock                                                   */
+/*********************************************************************************************************/
+
+/* function createRealClock();
+ * Provides timers and deferred execution based on the Node event loop, the wall-clock time is
+ * "epoch" + now() milliseconds since 1970 */
+function createRealClock() {
+  let start = Date.now();
+  return {
+    epoch: start,
+    now: function() {
+      return Date.now() - start;
+    },
+    setTimer: function(ms, repeat, fn) {
+      return repeat ? {interval: setInterval(fn, ms)} : {timeout: setTimeout(fn, ms)};
+    },
+    clearTimer: function(handle) {
+      if (def(handle.interval)) clearInterval(handle.interval);
+      else clearTimeout(handle.timeout);
+    },
+    defer: function(fn) {
+      setImmediate(fn);
+    }
+  };
+}
+
+/* function createVirtualClock(epoch);
+ * Provides timers and deferred execution based on a virtual time that only moves when advanced.
+ * Deferred executions (RPC results, events, ...) run before time moves, timers run in due order.
+ * All devices sharing the clock share the same notion of time, which makes runs deterministic and
+ * lets minutes of timer driven execution complete in milliseconds. The virtual wall-clock time starts
+ * at "epoch" milliseconds since 1970 (default Monday 2024-01-01 00:00 UTC) */
+function createVirtualClock(epoch) {
+  let now = 0;
+  let seq = 0;
+  let timers = [];
+  let deferred = [];
+  let clock = {
+    epoch: def(epoch) ? epoch : Date.UTC(2024, 0, 1),
+    now: function() {
+      return now;
+    },
+    setTimer: function(ms, repeat, fn) {
+      let handle = {due: now + Math.max(ms, 1), interval: Math.max(ms, 1), repeat: repeat, fn: fn,
+                    seq: seq++, cancelled: false};
+      timers.push(handle);
+      return handle;
+    },
+    clearTimer: function(handle) {
+      handle.cancelled = true;
+      timers = timers.filter(function(t) { return t !== handle; });
+    },
+    defer: function(fn) {
+      deferred.push(fn);
+    },
+    drain: function() {
+      let cnt = 0;
+      while (deferred.length) {
+        if (++cnt > DEFER_LIMIT)
+          throw new Error("Virtual clock: deferred execution does not settle at " + now + " ms");
+        deferred.shift()();
+      }
+    },
+    advance: function(ms) {
+      let target = now + ms;
+      clock.drain();
+      while (true) {
+        let next;
+        for (let i = 0; i < timers.length; i++)
+          if (!def(next) || timers[i].due < next.due || (timers[i].due == next.due && timers[i].seq < next.seq))
+            next = timers[i];
+        if (!def(next) || next.due > target) break;
+        now = next.due;
+        if (next.repeat) {
+          next.due += next.interval;
+          next.seq = seq++;
+        }
+        else
+          clock.clearTimer(next);
+        next.fn();
+        clock.drain();
+      }
+      now = target;
+    },
+    runUntil: function(predicate, max_ms, step_ms) {
+      step_ms = step_ms || 100;
+      let stop = now + max_ms;
+      while (now < stop) {
+        clock.advance(Math.min(step_ms, stop - now));
+        if (predicate()) return true;
+      }
+      return false;
+    }
+  };
+  return clock;
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                              Network                                                  */
+/*********************************************************************************************************/
+
+/* function createNetwork();
+ * Creates a network that emulated devices attach to, HTTP requests from one emulated device
+ * towards the address of another emulated device are routed internally */
+function createNetwork() {
+  return {
+    devices: {},
+    attach: function(device) {
+      this.devices[device.addr] = device;
+    },
+    lookup: function(addr) {
+      return this.devices[addr];
+    }
+  };
+}
+
+/* function createHttpSink(options);
+ * Creates a HTTP sink attached to a network, e.g. to receive webhooks from emulated devices. All requests
+ * are recorded in "requests" as {method, path, query, body} and answered with "code", an offline sink
+ * lets the requests time out.
+ *  options.addr      - The sink address (default "sink")
+ *  options.network   - Network to attach to (required)
+ *  options.code      - HTTP status code to answer with (default 200) */
+function createHttpSink(options) {
+  let sink = {
+    addr: options.addr || "sink",
+    online: true,
+    code: def(options.code) ? options.code : 200,
+    requests: [],
+    serve: function(sink, method, pathname, query, body, respond) {
+      sink.requests.push({method: method, path: pathname, query: query,
+                          body: typeof body == "string" ? body : JSON.stringify(body)});
+      respond(sink.code, "");
+    },
+    setOnline: function(online) {
+      sink.online = online;
+    }
+  };
+  options.network.attach(sink);
+  return sink;
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                               Device                                                  */
+/*********************************************************************************************************/
+
+/* function createDevice(options);
+ * Creates an emulated Shelly device.
+ *  options.addr      - The device address used by other devices on the network (default "localhost")
+ *  options.gen       - The device generation (default 2)
+ *  options.switches  - Number of virtual switches (default 4)
+ *  options.meters    - Virtual energy meters, E.g. [{type: "em", id: 0}, {type: "em1", id: 0}, {type: "pm1", id: 0}]
+ *  options.voltage   - Virtual mains voltage (default 230)
+ *  options.clock     - Clock providing timers (default real time)
+ *  options.utc_offset - Local time offset from UTC in minutes, reflected by the "sys" status (default 0)
+ *  options.network   - Network to attach to (default a private network)
+ *  options.mqtt      - Emulate a connected MQTT broker (default false), see setMqttConnected()
+ *  options.echo      - Echo script prints to stdout (default false) */
+function createDevice(options) {
+  options = options || {};
+  let device = {
+    addr: def(options.addr) ? options.addr : "localhost",
+    gen: def(options.gen) ? options.gen : 2,
+    clock: options.clock || createRealClock(),
+    network: options.network || createNetwork(),
+    echo: !!options.echo,
+    online: true,
+    utc_offset: def(options.utc_offset) ? options.utc_offset : 0,
+    switches: [],
+    meters: [],
+    kvs: {items: {}, rev: 0},
+    scripts: [],
+    logs: [],
+    reboots: 0
+  };
+  device.mqtt = {connected: !!options.mqtt, topic_prefix: "emulator-" + device.addr, retained: {}, messages: []};
+  if (device.mqtt.connected)
+    device.mqtt.retained[device.mqtt.topic_prefix + "/online"] = "true";
+  let switch_cnt = def(options.switches) ? options.switches : 4;
+  for (let i = 0; i < switch_cnt; i++)
+    device.switches.push({id: i, output: true, load: 0, stuck: false,
+                          voltage: def(options.voltage) ? options.voltage : 230, energy: 0});
+  (options.meters || []).forEach(function(m) {
+    device.meters.push({type: m.type, id: m.id, current: m.type == "em" ? {a: 0, b: 0, c: 0} : 0,
+                        voltage: def(options.voltage) ? options.voltage : 230});
+  });
+  device.network.attach(device);
+
+  device.setCurrent = function(id, current) { setCurrent(device, id, current); };
+  device.getSwitch = function(id) { return switchStatus(device, id); };
+  device.setMeterCurrent = function(type, id, current) { setMeterCurrent(device, type, id, current); };
+  device.getMeter = function(type, id) { return meterStatus(device, type, id); };
+  device.setOnline = function(online) { device.online = online; };
+  device.setStuck = function(id, stuck) { device.switches[id].stuck = stuck; };
+  device.loadScript = function(name, file_or_source) { return loadScript(device, name, file_or_source); };
+  device.getScript = function(name) {
+    return device.scripts.find(function(s) { return s.name == name || s.id == name; });
+  };
+  device.setMqttConnected = function(connected) { setMqttConnected(device, connected); };
+  device.mqttPublish = function(topic, message) { mqttDeliver(device, topic, String(message)); };
+  device.call = function(method, params, cb) { rpc(device, method, params, cb); };
+  device.request = function(url, cb, request) { httpRequest(device, url, request || {}, cb); };
+  return device;
+}
+
+/* function mqttMatch(filter, topic);
+ * Checks if an MQTT topic matches a subscription topic filter with "+" and "#" wildcards */
+function mqttMatch(filter, topic) {
+  let f = filter.split("/");
+  let t = topic.split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] == "#") return true;
+    if (i >= t.length || (f[i] != "+" && f[i] != t[i])) return false;
+  }
+  return f.length == t.length;
+}
+
+/* function mqttDeliver(device, topic, message);
+ * Delivers a message from the MQTT broker to the matching subscriptions of the scripts on the device */
+function mqttDeliver(device, topic, message) {
+  if (!device.mqtt.connected) return;
+  device.clock.defer(function() {
+    device.scripts.forEach(function(s) {
+      s.subscriptions.slice().forEach(function(sub) {
+        if (mqttMatch(sub.topic, topic)) s.invoke(sub.cb, [topic, message, sub.ud]);
+      });
+    });
+  });
+}
+
+/* function setMqttConnected(device, connected);
+ * Connects or disconnects the device from the emulated MQTT broker. The broker keeps the device
+ * "<topic_prefix>/online" availability message retained, "false" being the last will on disconnect,
+ * and the connect/disconnect handlers of the scripts are invoked */
+function setMqttConnected(device, connected) {
+  if (device.mqtt.connected == connected) return;
+  device.mqtt.connected = connected;
+  device.mqtt.retained[device.mqtt.topic_prefix + "/online"] = connected ? "true" : "false";
+  device.clock.defer(function() {
+    device.scripts.forEach(function(s) {
+      let handler = connected ? s.mqtt_handlers.connect : s.mqtt_handlers.disconnect;
+      if (def(handler)) s.invoke(handler.cb, [handler.ud]);
+    });
+  });
+}
+
+/* function sysStatus(device);
+ * Provides the "sys" component status: the uptime, the UTC "unixtime" and the local "time" (HH:MM) */
+function sysStatus(device) {
+  let unixtime = Math.floor((device.clock.epoch + device.clock.now()) / 1000);
+  let local = new Date((unixtime + device.utc_offset * 60) * 1000);
+  return {uptime: Math.floor(device.clock.now() / 1000), unixtime: unixtime,
+          time: ("0" + local.getUTCHours()).slice(-2) + ":" + ("0" + local.getUTCMinutes()).slice(-2)};
+}
+
+/* function setOutput(sw, on);
+ * Operates the output of a virtual switch, the output of a stuck switch (welded relay, failed
+ * contactor) does not move although the operation is acknowledged */
+function setOutput(sw, on) {
+  if (!sw.stuck)
+    sw.output = on;
+}
+
+/* function setCurrent(device, id, current);
+ * Sets the current drawn by the load connected to a virtual switch, the current is only
+ * reported while the switch output is on */
+function setCurrent(device, id, current) {
+  if (!def(device.switches[id]))
+    throw new Error("No virtual switch with id " + id);
+  device.switches[id].load = Number(current);
+}
+
+/* function switchStatus(device, id);
+ * Provides the Gen2 "Switch.GetStatus" representation of a virtual switch */
+function switchStatus(device, id) {
+  let sw = device.switches[id];
+  if (!def(sw)) return undefined;
+  let current = sw.output ? sw.load : 0;
+  return {id: sw.id, source: "emulator", output: sw.output, apower: current * sw.voltage,
+          voltage: sw.voltage, current: current, aenergy: {total: sw.energy},
+          temperature: {tC: 40, tF: 104}};
+}
+
+/* function findMeter(device, type, id);
+ * Finds a virtual energy meter */
+function findMeter(device, type, id) {
+  return device.meters.find(function(m) { return m.type == type && m.id == id; });
+}
+
+/* function setMeterCurrent(device, type, id, current);
+ * Sets the current measured by a virtual energy meter, for a three phase "em" meter the current is
+ * given per phase as {a: <current>, b: <current>, c: <current>} */
+function setMeterCurrent(device, type, id, current) {
+  let meter = findMeter(device, type, id);
+  if (!def(meter))
+    throw new Error("No virtual " + type + " meter with id " + id);
+  if (type == "em")
+    meter.current = {a: Number(current.a || 0), b: Number(current.b || 0), c: Number(current.c || 0)};
+  else
+    meter.current = Number(current);
+}
+
+/* function meterStatus(device, type, id);
+ * Provides the "EM.GetStatus", "EM1.GetStatus" or "PM1.GetStatus" representation of a virtual meter */
+function meterStatus(device, type, id) {
+  let meter = findMeter(device, type, id);
+  if (!def(meter)) return undefined;
+  if (type == "em") {
+    let status = {id: id, total_current: 0, total_act_power: 0};
+    ["a", "b", "c"].forEach(function(phase) {
+      status[phase + "_current"] = meter.current[phase];
+      status[phase + "_voltage"] = meter.voltage;
+      status[phase + "_act_power"] = meter.current[phase] * meter.voltage;
+      status.total_current += meter.current[phase];
+      status.total_act_power += meter.current[phase] * meter.voltage;
+    });
+    return status;
+  }
+  return {id: id, current: meter.current, voltage: meter.voltage, act_power: meter.current * meter.voltage,
+          apower: meter.current * meter.voltage};
+}
+
+/* function log(device, script, line);
+ * Records a print() from a script */
+function log(device, script, line) {
+  device.logs.push({ts: device.clock.now(), script: script.name, line: line});
+  if (device.echo)
+    console.log("[" + device.addr + "/" + script.name + "] " + line);
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                                RPC                                                    */
+/*********************************************************************************************************/
+
+/* function rpc(device, method, params, cb);
+ * Executes an RPC method on the device, cb(result, error) is invoked asynchronously */
+function rpc(device, method, params, cb) {
+  params = copy(params) || {};
+  let done = function(result, error) {
+    device.clock.defer(function() { cb(copy(result), error); });
+  };
+  let m = method.split(".");
+  let handler = def(m[1]) && def(RPC[m[0].toLowerCase()]) ?
+    RPC[m[0].toLowerCase()][m[1].toLowerCase()] : undefined;
+  if (!def(handler)) {
+    done(undefined, rpcError(ERR_NOT_FOUND, "No handler for " + method));
+    return;
+  }
+  handler(device, params, done);
+}
+
+/* function meterRpc(type);
+ * Creates the RPC handlers for a virtual energy meter type */
+function meterRpc(type) {
+  return {
+    getstatus: function(device, params, done) {
+      let status = meterStatus(device, type, params.id);
+      if (!def(status)) return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid id"));
+      done(status);
+    }
+  };
+}
+
+const RPC = {
+  em: meterRpc("em"),
+  em1: meterRpc("em1"),
+  pm1: meterRpc("pm1"),
+
+  shelly: {
+    getstatus: function(device, params, done) {
+      let status = {sys: sysStatus(device)};
+      for (let i = 0; i < device.switches.length; i++)
+        status["switch:" + i] = switchStatus(device, i);
+      done(status);
+    },
+    getdeviceinfo: function(device, params, done) {
+      done({id: "emulator-" + device.addr, gen: device.gen, app: "Emulator", ver: "1.0.0"});
+    },
+    reboot: function(device, params, done) {
+      done(null);
+      device.clock.defer(function() { reboot(device); });
+    }
+  },
+
+  switch: {
+    set: function(device, params, done) {
+      let sw = device.switches[params.id];
+      if (!def(sw)) return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid id"));
+      let was_on = sw.output;
+      setOutput(sw, params.on === true || params.on === "true");
+      done({was_on: was_on});
+    },
+    toggle: function(device, params, done) {
+      let sw = device.switches[params.id];
+      if (!def(sw)) return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid id"));
+      let was_on = sw.output;
+      setOutput(sw, !sw.output);
+      done({was_on: was_on});
+    },
+    getstatus: function(device, params, done) {
+      let status = switchStatus(device, params.id);
+      if (!def(status)) return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid id"));
+      done(status);
+    }
+  },
+
+  kvs: {
+    set: function(device, params, done) {
+      if (!def(params.key)) return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Missing key"));
+      device.kvs.rev++;
+      let etag = "etag-" + device.kvs.rev;
+      device.kvs.items[params.key] = {etag: etag, value: params.value};
+      done({etag: etag, rev: device.kvs.rev});
+    },
+    get: function(device, params, done) {
+      let item = device.kvs.items[params.key];
+      if (!def(item)) return done(undefined, rpcError(ERR_NOT_FOUND, "Key " + params.key + " not found"));
+      done({etag: item.etag, value: item.value});
+    },
+    getmany: function(device, params, done) {
+      let items = [];
+      for (let key in device.kvs.items)
+        if (matchKey(params.match, key))
+          items.push({key: key, etag: device.kvs.items[key].etag, value: device.kvs.items[key].value});
+      done({items: items});
+    },
+    list: function(device, params, done) {
+      let keys = {};
+      for (let key in device.kvs.items)
+        if (matchKey(params.match, key))
+          keys[key] = {etag: device.kvs.items[key].etag};
+      done({keys: keys, rev: device.kvs.rev});
+    },
+    delete: function(device, params, done) {
+      if (!def(device.kvs.items[params.key]))
+        return done(undefined, rpcError(ERR_NOT_FOUND, "Key " + params.key + " not found"));
+      delete device.kvs.items[params.key];
+      device.kvs.rev++;
+      done({rev: device.kvs.rev});
+    }
+  },
+
+  script: {
+    list: function(device, params, done) {
+      done({scripts: device.scripts.map(function(s) {
+        return {id: s.id, name: s.name, enable: true, running: s.running};
+      })});
+    },
+    start: function(device, params, done) {
+      let script = device.getScript(params.id);
+      if (!def(script)) return done(undefined, rpcError(ERR_NOT_FOUND, "Script not found"));
+      let was_running = script.running;
+      done({was_running: was_running});
+      if (!was_running) device.clock.defer(function() { script.start(); });
+    },
+    stop: function(device, params, done) {
+      let script = device.getScript(params.id);
+      if (!def(script)) return done(undefined, rpcError(ERR_NOT_FOUND, "Script not found"));
+      let was_running = script.running;
+      done({was_running: was_running});
+      device.clock.defer(function() { script.stop(); });
+    }
+  },
+
+  http: {
+    get: function(device, params, done) {
+      httpRequest(device, params.url, {method: "GET", timeout: params.timeout}, done);
+    },
+    post: function(device, params, done) {
+      httpRequest(device, params.url, {method: "POST", body: params.body,
+                  headers: {"Content-Type": params.content_type || "application/json"},
+                  timeout: params.timeout}, done);
+    },
+    request: function(device, params, done) {
+      httpRequest(device, params.url, {method: params.method || "GET", body: params.body,
+                  headers: params.headers, timeout: params.timeout}, done);
+    }
+  },
+
+  emulator: {
+    setcurrent: function(device, params, done) {
+      if (!def(device.switches[params.id]))
+        return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid id"));
+      setCurrent(device, params.id, params.current);
+      done(switchStatus(device, params.id));
+    },
+    setmetercurrent: function(device, params, done) {
+      if (!def(findMeter(device, params.type, params.id)))
+        return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid meter"));
+      setMeterCurrent(device, params.type, params.id, params.current);
+      done(meterStatus(device, params.type, params.id));
+    },
+    setstuck: function(device, params, done) {
+      if (!def(device.switches[params.id]))
+        return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid id"));
+      device.switches[params.id].stuck = params.stuck === true || params.stuck === "true";
+      done(switchStatus(device, params.id));
+    },
+    setonline: function(device, params, done) {
+      device.online = params.online === true || params.online === "true";
+      done({online: device.online});
+    }
+  }
+};
+
+/* function reboot(device);
+ * Emulates a device reboot, all switches are turned off and all scripts are restarted */
+function reboot(device) {
+  device.reboots++;
+  device.switches.forEach(function(sw) { setOutput(sw, false); });
+  device.scripts.forEach(function(s) { s.stop(); });
+  device.scripts.forEach(function(s) { s.start(); });
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                                HTTP                                                   */
+/*********************************************************************************************************/
+
+/* function httpResponse(code, body);
+ * Creates a HTTP.* RPC result */
+function httpResponse(code, body, headers) {
+  body = def(body) && body !== null ? String(body) : "";
+  return {code: code, message: http.STATUS_CODES[code] || "", headers: headers || {},
+          body: body, body_b64: Buffer.from(body).toString("base64")};
+}
+
+/* function httpRequest(device, url, request, done);
+ * Performs a HTTP request from the device. Requests towards emulated devices are routed internally,
+ * all other requests are sent for real through Node */
+function httpRequest(device, url, request, done) {
+  let u;
+  try {
+    u = new URL(url);
+  }
+  catch (error) {
+    return done(undefined, rpcError(ERR_INVALID_ARGUMENT, "Invalid URL: " + url));
+  }
+  let target = u.hostname == "localhost" || u.hostname == "127.0.0.1" ? device :
+               device.network.lookup(u.host) || device.network.lookup(u.hostname);
+  if (!def(target))
+    return nodeRequest(device, u, request, done);
+  let timeout = (request.timeout || HTTP_TIMEOUT) * 1000;
+  let finished = false;
+  let finish = function(result, error) {
+    if (finished) return;
+    finished = true;
+    device.clock.clearTimer(timer);
+    done(result, error);
+  };
+  let timer = device.clock.setTimer(timeout, false, function() {
+    finish(undefined, rpcError(ERR_DEADLINE_EXCEEDED, "Deadline exceeded"));
+  });
+  if (!target.online) return;                                                          // Times out
+  (def(target.serve) ? target.serve : serveHttp)(target, request.method || "GET", u.pathname, u.search.slice(1),
+    request.body, function(code, body, headers) { finish(httpResponse(code, body, headers)); });
+}
+
+/* function serveHttp(device, method, pathname, query, body, respond);
+ * Serves an incoming HTTP request: "/rpc/<method>", "/script/<id>/<endpoint>" and the Gen1
+ * "/relay/<id>" and "/status" APIs. respond(code, body, headers) */
+function serveHttp(device, method, pathname, query, body, respond) {
+  let parts = pathname.split("/").filter(function(p) { return p.length; });
+  if (parts[0] == "rpc" && def(parts[1])) {
+    let params = parseRpcQuery(query);
+    if (def(body) && body !== null && body !== "") {
+      try {
+        Object.assign(params, typeof body == "string" ? JSON.parse(body) : body);
+      }
+      catch (error) {
+        return respond(400, JSON.stringify({code: ERR_INVALID_ARGUMENT, message: "Invalid JSON body"}));
+      }
+    }
+    rpc(device, parts[1], params, function(result, error) {
+      if (def(error))
+        respond(error.error_code == ERR_NOT_FOUND ? 404 : 400,
+                JSON.stringify({code: error.error_code, message: error.error_message}));
+      else
+        respond(200, JSON.stringify(def(result) ? result : null));
+    });
+    return;
+  }
+  if (parts[0] == "script" && def(parts[2])) {
+    let script = device.getScript(Number(parts[1]));
+    let endpoint = def(script) && script.running ? script.endpoints[parts[2]] : undefined;
+    if (!def(endpoint))
+      return respond(404, "Not found");
+    let req = {method: method, query: query, headers: [], body: def(body) ? body : ""};
+    let res = {code: 200, body: "", headers: [], sent: false};
+    res.send = function() {
+      if (res.sent) return;
+      res.sent = true;
+      respond(res.code, res.body, res.headers);
+    };
+    script.invoke(endpoint.cb, [req, res, endpoint.ud]);
+    return;
+  }
+  if (device.gen == 1)
+    return serveGen1Http(device, parts, query, respond);
+  respond(404, "Not found");
+}
+
+/* function serveGen1Http(device, parts, query, respond);
+ * Serves the Gen1 REST API subset used by the shedder */
+function serveGen1Http(device, parts, query, respond) {
+  let params = new URLSearchParams(query);
+  if ((parts[0] == "relay" || parts[0] == "switch") && def(parts[1])) {
+    let sw = device.switches[Number(parts[1])];
+    if (!def(sw)) return respond(404, "Not found");
+    if (params.get("turn") == "on") setOutput(sw, true);
+    else if (params.get("turn") == "off") setOutput(sw, false);
+    else if (params.get("turn") == "toggle") setOutput(sw, !sw.output);
+    return respond(200, JSON.stringify({ison: sw.output, has_timer: false, source: "http"}));
+  }
+  if (parts[0] == "status") {
+    return respond(200, JSON.stringify({
+      voltage: device.switches.length ? device.switches[0].voltage : 230,
+      relays: device.switches.map(function(sw) { return {ison: sw.output, has_timer: false}; }),
+      meters: device.switches.map(function(sw) {
+        return {power: (sw.output ? sw.load : 0) * sw.voltage, is_valid: true};
+      })
+    }));
+  }
+  respond(404, "Not found");
+}
+
+/* function nodeRequest(device, u, request, done);
+ * Sends a HTTP request for real, used for endpoints outside of the emulated network (webhook sinks, ...) */
+function nodeRequest(device, u, request, done) {
+  let body = def(request.body) && request.body !== null ?
+             (typeof request.body == "string" ? request.body : JSON.stringify(request.body)) : undefined;
+  let finished = false;
+  let finish = function(result, error) {
+    if (finished) return;
+    finished = true;
+    device.clock.defer(function() { done(result, error); });
+  };
+  let req = http.request(u, {method: request.method || "GET", headers: request.headers || {},
+                             timeout: (request.timeout || HTTP_TIMEOUT) * 1000},
+    function(res) {
+      let chunks = [];
+      res.on("data", function(chunk) { chunks.push(chunk); });
+      res.on("end", function() {
+        finish(httpResponse(res.statusCode, Buffer.concat(chunks).toString(), res.headers));
+      });
+    });
+  req.on("timeout", function() {
+    req.destroy();
+    finish(undefined, rpcError(ERR_DEADLINE_EXCEEDED, "Deadline exceeded"));
+  });
+  req.on("error", function(error) {
+    finish(undefined, rpcError(ERR_UNAVAILABLE, error.message));
+  });
+  if (def(body)) req.write(body);
+  req.end();
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                              Scripts                                                  */
+/*********************************************************************************************************/
+
+/* function loadScript(device, name, file_or_source);
+ * Loads and starts a script on the device, file_or_source is either a path to the script
+ * or the script source itself. Returns the script handle */
+function loadScript(device, name, file_or_source) {
+  let source = file_or_source;
+  let filename = name;
+  if (fs.existsSync(file_or_source)) {
+    filename = path.resolve(file_or_source);
+    source = fs.readFileSync(filename, "utf8");
+  }
+  let script = {
+    id: device.scripts.length + 1,
+    name: name,
+    source: source,
+    filename: filename,
+    running: false,
+    context: undefined,
+    timers: {},
+    handlers: [],
+    endpoints: {},
+    subscriptions: [],
+    mqtt_handlers: {},
+    calls: 0,
+    error: undefined
+  };
+  script.start = function() { startScript(device, script); };
+  script.stop = function() { stopScript(device, script); };
+  script.invoke = function(fn, args) { return invoke(device, script, fn, args); };
+  script.eval = function(expression) { return vm.runInContext(expression, script.context); };
+  device.scripts.push(script);
+  script.start();
+  return script;
+}
+
+/* function startScript(device, script);
+ * Creates a fresh script context with the Shelly globals and runs the script source in it */
+function startScript(device, script) {
+  if (script.running) return;
+  script.running = true;
+  script.error = undefined;
+  script.context = vm.createContext(createGlobals(device, script));
+  try {
+    new vm.Script(script.source, {filename: script.filename}).runInContext(script.context);
+  }
+  catch (error) {
+    crash(device, script, error);
+  }
+}
+
+/* function stopScript(device, script);
+ * Stops a script, all its timers, event handlers and HTTP endpoints are removed */
+function stopScript(device, script) {
+  if (!script.running) return;
+  script.running = false;
+  for (let handle in script.timers)
+    device.clock.clearTimer(script.timers[handle]);
+  script.timers = {};
+  script.handlers = [];
+  script.endpoints = {};
+  script.subscriptions = [];
+  script.mqtt_handlers = {};
+  script.calls = 0;
+}
+
+/* function crash(device, script, error);
+ * An uncaught script exception stops the script, as on a real device */
+function crash(device, script, error) {
+  script.error = error;
+  log(device, script, "Uncaught " + (error && error.stack ? error.stack : error));
+  stopScript(device, script);
+}
+
+/* function invoke(device, script, fn, args);
+ * Invokes a script callback, providing the script is still running */
+function invoke(device, script, fn, args) {
+  if (!script.running || typeof fn !== "function") return;
+  try {
+    return fn.apply(undefined, args);
+  }
+  catch (error) {
+    crash(device, script, error);
+  }
+}
+
+/* function createGlobals(device, script);
+ * Creates the Shelly scripting globals for a script */
+function createGlobals(device, script) {
+  let timer_cnt = 0;
+  return {
+    print: function() {
+      log(device, script, Array.prototype.map.call(arguments, function(a) {
+        return typeof a == "object" ? JSON.stringify(a) : String(a);
+      }).join(" "));
+    },
+    atob: function(s) { return Buffer.from(String(s), "base64").toString("binary"); },
+    btoa: function(s) { return Buffer.from(String(s), "binary").toString("base64"); },
+
+    Shelly: {
+      call: function(method, params, cb, ud) {
+        if (script.calls >= CALL_LIMIT)
+          throw new Error("Too many calls in progress");
+        script.calls++;
+        rpc(device, method, params, function(result, error) {
+          if (!script.running) return;
+          script.calls--;
+          script.invoke(cb, [result, def(error) ? error.error_code : 0,
+                             def(error) ? error.error_message : "", ud]);
+        });
+      },
+      emitEvent: function(name, data) {
+        let ts = device.clock.now() / 1000;
+        let event = {component: "script:" + script.id, name: "script", id: script.id, now: ts,
+                     info: {component: "script:" + script.id, id: script.id, event: name,
+                            data: copy(data), ts: ts}};
+        device.clock.defer(function() {
+          device.scripts.forEach(function(s) {
+            s.handlers.slice().forEach(function(h) { s.invoke(h.cb, [copy(event), h.ud]); });
+          });
+        });
+      },
+      addEventHandler: function(cb, ud) {
+        script.handlers.push({cb: cb, ud: ud});
+        return script.handlers.length - 1;
+      },
+      addStatusHandler: function(cb, ud) {
+        return -1;
+      },
+      getComponentStatus: function(type, id) {
+        let key = def(id) ? type + ":" + id : type;
+        let m = String(key).toLowerCase().split(":");
+        if (m[0] == "switch") return copy(switchStatus(device, Number(m[1])));
+        if (m[0] == "em" || m[0] == "em1" || m[0] == "pm1") return copy(meterStatus(device, m[0], Number(m[1])));
+        if (m[0] == "sys") return sysStatus(device);
+        return null;
+      },
+      getComponentConfig: function(type, id) {
+        let key = def(id) ? type + ":" + id : type;
+        let m = String(key).toLowerCase().split(":");
+        if (m[0] == "switch" && def(device.switches[Number(m[1])]))
+          return {id: Number(m[1]), name: null};
+        if (m[0] == "mqtt")
+          return {enable: true, topic_prefix: device.mqtt.topic_prefix};
+        return null;
+      },
+      getDeviceInfo: function() {
+        return {id: "emulator-" + device.addr, gen: device.gen, app: "Emulator", ver: "1.0.0"};
+      },
+      getCurrentScriptId: function() {
+        return script.id;
+      },
+      getUptimeMs: function() {
+        return device.clock.now();
+      }
+    },
+
+    Timer: {
+      set: function(ms, repeat, cb, ud) {
+        let handle = ++timer_cnt;
+        script.timers[handle] = device.clock.setTimer(ms, repeat, function() {
+          if (!repeat) delete script.timers[handle];
+          script.invoke(cb, [ud]);
+        });
+        return handle;
+      },
+      clear: function(handle) {
+        if (!def(script.timers[handle])) return false;
+        device.clock.clearTimer(script.timers[handle]);
+        delete script.timers[handle];
+        return true;
+      }
+    },
+
+    HTTPServer: {
+      registerEndpoint: function(name, cb, ud) {
+        script.endpoints[name] = {cb: cb, ud: ud};
+        return "/script/" + script.id + "/" + name;
+      }
+    },
+
+    MQTT: {
+      isConnected: function() {
+        return device.mqtt.connected;
+      },
+      publish: function(topic, message, qos, retain) {
+        if (!device.mqtt.connected) return false;
+        message = String(message);
+        device.mqtt.messages.push({topic: topic, message: message, qos: qos || 0, retain: !!retain});
+        if (retain && message === "") delete device.mqtt.retained[topic];
+        else if (retain) device.mqtt.retained[topic] = message;
+        mqttDeliver(device, topic, message);
+        return true;
+      },
+      subscribe: function(topic, cb, ud) {
+        script.subscriptions.push({topic: topic, cb: cb, ud: ud});
+        Object.keys(device.mqtt.retained).forEach(function(t) {
+          if (mqttMatch(topic, t) && device.mqtt.connected)
+            device.clock.defer(function() { script.invoke(cb, [t, device.mqtt.retained[t], ud]); });
+        });
+      },
+      unsubscribe: function(topic) {
+        let n = script.subscriptions.length;
+        script.subscriptions = script.subscriptions.filter(function(sub) { return sub.topic != topic; });
+        return script.subscriptions.length != n;
+      },
+      setConnectHandler: function(cb, ud) {
+        script.mqtt_handlers.connect = {cb: cb, ud: ud};
+      },
+      setDisconnectHandler: function(cb, ud) {
+        script.mqtt_handlers.disconnect = {cb: cb, ud: ud};
+      }
+    }
+  };
+}
+
+
+
+
+/*********************************************************************************************************/
+/*                                              Exports                                                  */
+/*********************************************************************************************************/
+module.exports = {
+  createDevice: createDevice,
+  createNetwork: createNetwork,
+  createHttpSink: createHttpSink,
+  createRealClock: createRealClock,
+  createVirtualClock: createVirtualClock,
+  serveHttp: serveHttp
+};
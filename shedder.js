@@ -11,7 +11,6 @@
 /***********************************************  Todo:   ************************************************
  * 1) Fix generic webhook shed handling
  * 2) Rebase variable names
- * 3) Priority override handling
  *
 **********************************************************************************************************/
 
@@ -26,6 +25,14 @@ const LOG_WARN = 2;
 const LOG_ERROR = 3;
 const LOG_CRITICAL = 4;
 const CALL_LIMIT = 5;
+const NOMINAL_VOLTAGE = 230;                                                            // Used when a device only reports power
+const FUSE_COOLED_HEAT = 0.05;                                                          // Fuse heat at which it is considered cooled
+const PHASES = ["a", "b", "c"];                                                         // Phases of a three-phase supply
+const WEBHOOK_REPORT_INTERVAL = 60;                                                      // Status webhook report interval [s]
+const WEBHOOK_QUEUE_LIMIT = 10;                                                         // Maximum number of queued status webhooks
+const WEBHOOK_MAX_ATTEMPTS = 5;                                                         // Status webhook delivery attempts
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];                         // Restriction schedule week days
+const EVENT_LOG_SIZE = 30;                                                              // Event log ring buffer size
 /*********************************************************************************************************/
 
 
@@ -35,9 +42,12 @@ const CALL_LIMIT = 5;
 /*************************  But can also be permanently changed with KVS webhooks   **********************/
 let hostname_setting = "";
 let fuse_rating_setting = 16;
+let phase_fuse_rating_setting = {};                                                     // Per phase ratings, e.g. {"c": 10}
 let fuse_char_setting = "C";
+let fuse_standard_setting = "IEC60898";
+let fuse_custom_trip_curve_setting = [];
 let margin_factor_setting = 4;
-let cool_down_time_setting = 10;
+let fuse_cooling_time_constant_setting = 120;
 let first_to_last_to_shed = [
   { addr: "localhost", gen: 2, type: "relay", id: 3, shed: true, measure: true },
   { addr: "localhost", gen: 2, type: "relay", id: 2, shed: true, measure: true },
@@ -46,12 +56,24 @@ let first_to_last_to_shed = [
 ];
 let time_to_test_loading_setting = 60;
 let scan_interval = 0.5;
+let measurement_max_age_setting = 3;
+let actuation_max_failures_setting = 3;
+let actuation_retry_backoff_setting = 1;
 let simulation = true;
-let simulated_current = new Array(first_to_last_to_shed.length);
-for (let i = 0; i < first_to_last_to_shed.length; i++) simulated_current[i] = 0;
+let simulated_current = {};                                                             // Simulated current per channel key
 let current_restriction_setting = -1;
 let current_restriction_hysteresis_setting = 0.1;
-let overload_webhook_uri_setting = "";
+let power_restriction_setting = -1;                                                     // Manual power restriction [W], -1: none
+let power_budget_setting = -1;                                                          // Power budget [W], e.g. a grid tariff, -1: none
+let hourly_power_cap_setting = -1;                                                      // Hourly average power cap [W], -1: none
+let monthly_peaks_count_setting = 0;                                                    // Billed top-N hourly peaks per month, 0: none
+let restriction_schedule_setting = {weekly: [], exceptions: []};
+let price_restriction_rules_setting = [];
+let status_webhook_uri_setting = "";
+let mqtt_topic_setting = "";                                                            // MQTT base topic, "": no MQTT
+let mqtt_publish_interval_setting = 10;
+let mqtt_discovery_prefix_setting = "homeassistant";                                    // Home Assistant discovery prefix, "": none
+let statistics_persist_interval_setting = 3600;                                         // Minimum time between statistics KVS writes [s]
 let log_level_setting = LOG_INFO;
 let cicd_verification_setting = false;
 let cicd_verification_webhook =""
@@ -61,14 +83,35 @@ let cicd_verification_webhook =""
 
 
 /***********************************  Program variables, do not change   *********************************/
-let fuse_load_trip_time_table = [	
-  {over_current: 1.13, trip_time: -1},
-  {over_current: 1.3, trip_time: 90},
-  {over_current: 1.5, trip_time: 20},
-  {over_current: 2, trip_time: 6},
-  {over_current: 3, trip_time: 2},
-  {over_current: 5, trip_time: 0.8}, 
-  {over_current: 10, trip_time: 0.3},
+let fuse_trip_curve_table = [                                                           // Thermal trip curves, over_current in
+  {standard: "IEC60898", fuse_chars: ["B", "C", "D", "K", "Z"], curve: [                // multiples of the fuse rating, trip_time
+    {over_current: 1.13, trip_time: -1},                                                // in seconds, -1: will not trip
+    {over_current: 1.3, trip_time: 90},
+    {over_current: 1.5, trip_time: 20},
+    {over_current: 2, trip_time: 6},
+    {over_current: 3, trip_time: 2},
+    {over_current: 5, trip_time: 0.8},
+    {over_current: 10, trip_time: 0.3},
+  ]},
+  {standard: "IEC60947", fuse_chars: ["K", "Z"], curve: [                               // Thermal release of IEC 60947-2 K and Z
+    {over_current: 1.05, trip_time: -1},                                                // breakers, e.g. ABB S200 K/Z datasheets:
+    {over_current: 1.2, trip_time: 60},                                                 // 1.05*In conventional non-tripping and
+    {over_current: 1.5, trip_time: 15},                                                 // 1.2*In tripping within 1 h. The points
+    {over_current: 2, trip_time: 5},                                                    // in-between are not standardised, they
+    {over_current: 3, trip_time: 1.5},                                                  // are set below the IEC60898 curve and
+    {over_current: 5, trip_time: 0.5},                                                  // hence err towards early shedding
+    {over_current: 10, trip_time: 0.2},
+  ]},
+  {standard: "IEC60269", fuse_chars: ["gG"], curve: [
+    {over_current: 1.25, trip_time: -1},
+    {over_current: 1.6, trip_time: 300},
+    {over_current: 2, trip_time: 40},
+    {over_current: 3, trip_time: 5},
+    {over_current: 4, trip_time: 1},
+    {over_current: 5, trip_time: 0.3},
+    {over_current: 8, trip_time: 0.05},
+    {over_current: 10, trip_time: 0.02},
+  ]},
 ];
 let fuse_short_trip_current_table = [
   {fuse_char: "B", over_current: 2},
@@ -77,27 +120,106 @@ let fuse_short_trip_current_table = [
   {fuse_char: "Z", over_current: 1},
   {fuse_char: "K", over_current: 8},
 ];
-let switch_state = new Array(first_to_last_to_shed.length);
-for (let i = 0; i < first_to_last_to_shed.length; i++) switch_state[i] = true;
-let idx_next_to_toggle_off = 0
+let setting_rules = {                                                                   // KVS setting validation, see validateSetting()
+  hostname_setting: {type: "string"},
+  fuse_rating_setting: {type: "number", min: 1},
+  phase_fuse_rating_setting: {type: "object", validate: validatePhaseRatings},
+  fuse_char_setting: {type: "string", values: ["B", "C", "D", "K", "Z", "gG"]},
+  fuse_standard_setting: {type: "string", values: ["IEC60898", "IEC60947", "IEC60269"]},
+  fuse_custom_trip_curve_setting: {type: "array", validate: validateCustomTripCurve},
+  margin_factor_setting: {type: "number", min: 1},
+  fuse_cooling_time_constant_setting: {type: "number", min: 1},
+  first_to_last_to_shed: {type: "array", validate: validateChannels},
+  time_to_test_loading_setting: {type: "number", min: 1},
+  scan_interval: {type: "number", min: 0.1, max: 60},
+  measurement_max_age_setting: {type: "number", min: 0.1},
+  actuation_max_failures_setting: {type: "number", integer: true, min: 1},
+  actuation_retry_backoff_setting: {type: "number", min: 0},
+  current_restriction_hysteresis_setting: {type: "number", min: 0, max: 1},
+  power_budget_setting: {type: "number", min: 0, none: -1},
+  hourly_power_cap_setting: {type: "number", min: 0, none: -1},
+  monthly_peaks_count_setting: {type: "number", integer: true, min: 0, max: 31},
+  monthly_peaks: {type: "object", validate: validateMonthlyPeaks, state: true},
+  restriction_schedule_setting: {type: "object", validate: validateSchedule},
+  price_restriction_rules_setting: {type: "array", validate: validatePriceRules},
+  price_forecast: {type: "object", validate: validatePriceForecast, state: true},
+  status_webhook_uri_setting: {type: "string", validate: validateUri},
+  mqtt_topic_setting: {type: "string", validate: validateTopic},
+  mqtt_publish_interval_setting: {type: "number", min: 1},
+  mqtt_discovery_prefix_setting: {type: "string", validate: validateTopic},
+  statistics_persist_interval_setting: {type: "number", min: 900},
+  channel_statistics: {type: "object", validate: validateStatistics, state: true},
+  config_pending: {type: "object", validate: validatePendingConfig, state: true},
+  log_level_setting: {type: "any", values: [LOG_VERBOSE, LOG_INFO, LOG_WARN, LOG_ERROR, LOG_CRITICAL,
+                                            "LOG_VERBOSE", "LOG_INFO", "LOG_WARN", "LOG_ERROR", "LOG_CRITICAL"]},
+};
+let config_errors = {};                                                                 // Rejected KVS settings {value, reason} per key
+let config_transaction = null;                                                          // The "setConfig" transaction in progress
+let config_generation = 0;                                                              // Discards KVS reads overtaken by a transaction
+let trip_curve = undefined;
+let short_trip_current = -1;
+let trip_curve_name = "";
+let switch_state = {};                                                                  // Confirmed output state per channel key
 let direction = "coasting";
-let last_known_current = new Array(first_to_last_to_shed.length);
-for (let i = 0; i < first_to_last_to_shed.length; i++) last_known_current[i] = 0;
-let min_trip_time = -1;
-let over_load_time = -1;
-let cool_down_time_remaining = -1;
+let last_known_current = {};                                                            // Last known current per channel key
+let last_known_power = {};
+let fuse_state = {};                                                                    // Per phase fuse thermal state
+for (let i = 0; i < PHASES.length; i++)
+  fuse_state[PHASES[i]] = {phase: PHASES[i], heat: 0, over_load_time: -1, min_trip_time: -1,
+                           cool_down_time_remaining: -1, cool_logging: false, overloaded: false, shorted: false};
+let phase_current = {a: 0, b: 0, c: 0};
+let phase_power = {a: 0, b: 0, c: 0};
+let total_power = 0;
+let running_hour = {start: -1, ts: -1, elapsed: 0, energy: 0, projected: 0, allowed: -1}; // Hourly average power cap state, energy in Wh
+let monthly_peaks = {month: "", peaks: []};                                            // Top-N hourly averages, highest first
+let monthly_peaks_kvs = "";                                                             // Monthly peaks as last read from/written to KVS
 let time_to_test_loading = time_to_test_loading_setting;
-let cool_logging = false;
+let test_load_key = "";                                                                 // Channel key allowed to load despite its last known load
 let shelly_call_records = [];
 let running = false;
 let overrun_cnt = 0;
+let overruns_total = 0;
 let last_overrun = false;
-let coasting_report_cnt = 0;
 let total = 0;
 let current_scan_time = 0;
 let calls = 0;
 let last_kvs_rev = -1; 
-let current_vector = new Array(first_to_last_to_shed.length);
+let current_vector = {};                                                                // Accounted current per channel key
+let power_vector = {};
+let channel_readings = {};
+let meter_total = -1;
+let channel_actuations = {};
+let channel_pins = {};
+let channel_events = {};                                                                // Shed and load event counters per channel
+let scan_timer = undefined;                                                             // Repeating scanPower() timer handle
+let event_log = [];                                                                     // Latest EVENT_LOG_SIZE events, oldest first
+let event_seq = 0;
+let event_last_restriction = "";                                                        // Restriction as last logged
+let statistics = {since: -1, channels: {}};                                             // Per channel statistics, "since" unixtime
+let statistics_kvs = "";                                                                // Statistics as last read from/written to KVS
+let statistics_changed = false;
+let statistics_shedded = {};                                                            // Channel keys shedded at the last scan
+let statistics_persisted = -1;                                                          // Scan time of the last statistics KVS write
+let schedule_entry = null;
+let price_forecast = {start: -1, interval: 3600, prices: []};                           // Prices from "start" unixtime, per "interval" s
+let price_forecast_kvs = "";                                                            // Price forecast as last read from/written to KVS
+let current_price = null;
+let price_restriction = -1;
+let first_to_last_to_shed_kvs = "";                                                    // Shedding scheme as last read from KVS
+let unreachable_shed = {};                                                              // Local channel key shedded per unreachable channel
+let budget_reduction = {a: 0, b: 0, c: 0};
+let degraded_channels = [];
+let webhook_queue = [];
+let webhook_pending = false;
+let webhook_last_state = "";
+let webhook_last_report = 0;
+let webhook_stats = {sent: 0, delivered: 0, retries: 0, failed: 0, dropped: 0, last_error: "", last_delivery: -1};
+let mqtt_subscribed_topic = "";
+let mqtt_device_online_topic = "";                                                      // The device MQTT last will topic
+let mqtt_last_state = "";
+let mqtt_last_publish = 0;
+let mqtt_discovery_key = "";                                                            // Discovery configs as last published
+let mqtt_discovery_topics = [];
 let delete_KVS_cnt = 0;
 
 /*********************************************************************************************************/
@@ -122,6 +244,7 @@ function reboot() {
 }
 
 function restart() {
+  mqttOffline();
   Shelly.call('Script.Stop', {id: Shelly.getCurrentScriptId()});                                      //The watchdog will restart the script
 }
 
@@ -147,6 +270,22 @@ function parseQuery(queryString) {
   return params;
 }
 
+/* function urlDecode(value);
+ * Decodes the percent-encoded characters of the query value "value", e.g. "remote-1%2F0" to "remote-1/0" */
+function urlDecode(value) {
+  let parts = value.split("%");
+  let decoded = parts[0];
+  for (let i = 1; i < parts.length; i++) {
+    if (/^[0-9a-fA-F]{2}/.test(parts[i]))
+      decoded += String.fromCharCode(parseInt(parts[i].slice(0, 2), 16)) + parts[i].slice(2);
+    else
+      decoded += "%" + parts[i];
+  }
+  return decoded;
+}
+
+/* function shedderEndPoint(req, res);
+ * Runs a HTTP API command given by the query of "req", or by "req.key_values" if already parsed */
 function shedderEndPoint(req, res) {
   //print(JSON.stringify(req.query));
   //print(req.query);
@@ -154,7 +293,7 @@ function shedderEndPoint(req, res) {
   //print(typeof(parseQuery(req.query).key));
   //print(parseQuery(JSON.parse(req.query).key));
   //print(JSON.parse(req.query).method);
-  let key_values = parseQuery(req.query);
+  let key_values = def(req.key_values) ? req.key_values : parseQuery(req.query);
   //print(key_values);
   //print(Object.keys(key_values));
   //print(Object.keys(key_values)[0]);
@@ -188,66 +327,105 @@ function shedderEndPoint(req, res) {
         res.code = 200;
       }
       else {
-        log(LOG_WARN: "Received a HTTP query for simulation with a wrong value: " +
-               key_values[0].simulation);
+        log(LOG_WARN, "Received a HTTP query for simulation with a wrong value: " +
+               key_values.simulation);
         res.body = "Received a HTTP query for simulation with a wrong value: " +
-                   key_values[0].simulation;
+                   key_values.simulation;
         res.code = 405;
       }
-      res.send();
       break;
 
     case "setSimulatedCurrent":
-      let ordered_simulation_current_str = key_values.setSimulatedCurrent.split(",");
-      ordered_simulation_current_str[0] = ordered_simulation_current_str[0].split("[")[1];
-      ordered_simulation_current_str[ordered_simulation_current_str.length-1] =
-        ordered_simulation_current_str[ordered_simulation_current_str.length-1].split("]")[0];
-      if(ordered_simulation_current_str.length != simulated_current.length) {
-        log(LOG_WARN, "Received a HTTP query for setting simulation current with a size that doesnt " +
-                   "match the number of current sensors");
-        res.body = "Received a HTTP query for setting simulation current with a size that doesnt " +
-                   "match the number of current sensors";
-        res.code = 400;
-        break;
-      }
-      let ordered_simulation_current = new Array(ordered_simulation_current_str.length);
+      let ordered_simulation_current = undefined;
       try {
-        ordered_simulation_current = ordered_simulation_current_str.map(Number);
-        //print(ordered_simulation_current_str);
-        //print(ordered_simulation_current);
+        ordered_simulation_current = JSON.parse(def(req.body) && req.body !== "" ? req.body : key_values.setSimulatedCurrent);
       }
       catch (error) {
-        log(LOG_WARN, "error");
-        res.body = error;
-        res.code = 400;
-        break;
       }
-      if(ordered_simulation_current.some(isNaN)) {
-        log(LOG_WARN, "Received a HTTP query for setting simulation current which did not consist " +
-                   "of all numbers");
-        res.body = "Received a HTTP query for setting simulation current which did not consist " +
-                   "of all numbers";
+      let simulation_refs = [];
+      let simulation_error = "";
+      if (Array.isArray(ordered_simulation_current)) {
+        let simulation_ids = 0;
+        for (let i = 0; i < first_to_last_to_shed.length; i++)
+          if (!isMeter(first_to_last_to_shed[i]))
+            simulation_ids = Math.max(simulation_ids, first_to_last_to_shed[i].id + 1);
+        if (ordered_simulation_current.length != simulation_ids)
+          simulation_error = "with a size that doesnt match the number of current sensors";
+        for (let i = 0; i < ordered_simulation_current.length; i++)
+          simulation_refs.push({ref: String(i), current: ordered_simulation_current[i]});
+      }
+      else if (typeof(ordered_simulation_current) == "object" && ordered_simulation_current !== null) {
+        for (let ref in ordered_simulation_current) {
+          if (!channelsByRef(ref).length)
+            simulation_error = "for the unknown channel " + ref;
+          simulation_refs.push({ref: ref, current: ordered_simulation_current[ref]});
+        }
+      }
+      else
+        simulation_error = "which is neither an array nor an object of channel currents";
+      for (let i = 0; i < simulation_refs.length && simulation_error == ""; i++)
+        if (typeof(simulation_refs[i].current) != "number" || !isFinite(simulation_refs[i].current))
+          simulation_error = "which did not consist of all numbers";
+      if (simulation_error != "") {
+        log(LOG_WARN, "Received a HTTP query for setting simulation current " + simulation_error);
+        res.body = "Received a HTTP query for setting simulation current " + simulation_error;
         res.code = 400;
         break;
       }
-      log(LOG_INFO, "Simulation current changed: " + simulated_current + "=>" +
-                    ordered_simulation_current);
-      res.body = "Simulation current changed: " + simulated_current + "=>" +
-                 ordered_simulation_current;
+      let old_simulated_current = JSON.stringify(channelValues(simulated_current));
+      for (let i = 0; i < simulation_refs.length; i++) {
+        let simulated_channels = channelsByRef(simulation_refs[i].ref);
+        for (let j = 0; j < simulated_channels.length; j++)
+          simulated_current[channelKey(simulated_channels[j])] = simulation_refs[i].current;
+      }
+      log(LOG_INFO, "Simulation current changed: " + old_simulated_current + "=>" +
+                    JSON.stringify(channelValues(simulated_current)));
+      res.body = "Simulation current changed: " + old_simulated_current + "=>" +
+                 JSON.stringify(channelValues(simulated_current));
       res.code = 200;
-      simulated_current = ordered_simulation_current;
       break;
       
     case "getCurrent":
-      res.body = JSON.stringify({current:{total: total, channels:current_vector}});
+      let current_state = {};
+      let current_age = {};
+      let meters = [];
+      for (let i = 0; i < first_to_last_to_shed.length; i++) {
+        let reading = getReading(first_to_last_to_shed[i]);
+        if (isMeter(first_to_last_to_shed[i]))
+          meters.push({addr:first_to_last_to_shed[i].addr, type:first_to_last_to_shed[i].type,
+                       id:first_to_last_to_shed[i].id, phase:first_to_last_to_shed[i].phase,
+                       current:readingValue(first_to_last_to_shed[i], reading), state:reading.state,
+                       age:reading.ts == -1 ? -1 : current_scan_time - reading.ts});
+        else {
+          current_state[channelKey(first_to_last_to_shed[i])] = reading.state;
+          current_age[channelKey(first_to_last_to_shed[i])] = reading.ts == -1 ? -1 : current_scan_time - reading.ts;
+        }
+      }
+      let current_phases = {};
+      let current_used_phases = usedPhases();
+      for (let i = 0; i < current_used_phases.length; i++)
+        current_phases[current_used_phases[i]] = phase_current[current_used_phases[i]];
+      res.body = JSON.stringify({current:{total: total, phases: current_phases, power: total_power,
+                                          channelsPower:localChannelArray(power_vector),
+                                          source: meter_total == -1 ? "channels" : "meter",
+                                          channels:localChannelArray(current_vector),
+                                          state:localChannelArray(current_state), age:localChannelArray(current_age),
+                                          byChannel:{current:channelValues(current_vector), power:channelValues(power_vector),
+                                                     state:current_state, age:current_age},
+                                          meters:meters}});
       res.code = 200;
       break;
       
     case "setCurrentRestriction":
-      let ordered_set_current_restriction = JSON.parse(key_values.setCurrentRestriction)
+      let ordered_set_current_restriction = undefined;
+      try {
+        ordered_set_current_restriction = JSON.parse(key_values.setCurrentRestriction);
+      }
+      catch (error) {
+      }
       if (typeof(ordered_set_current_restriction) != "number"){
-        log(LOG_WARN, "Received setCurrentRestriction: " + ordered_set_current_restriction + " is not a number");
-        res.body = "Received setCurrentRestriction: " + ordered_set_current_restriction + " is not a number";
+        log(LOG_WARN, "Received setCurrentRestriction: " + key_values.setCurrentRestriction + " is not a number");
+        res.body = "Received setCurrentRestriction: " + key_values.setCurrentRestriction + " is not a number";
         res.code = 400;
         break;
       }
@@ -259,34 +437,288 @@ function shedderEndPoint(req, res) {
         break;
       }
       
+    case "setPriceForecast":
+      let forecast_prices = def(key_values.setPriceForecast) ?
+                            key_values.setPriceForecast.split("[").join("").split("]").join("").split(",").map(Number) : [];
+      let forecast_sys = Shelly.getComponentStatus("sys");
+      let forecast_interval = def(key_values.interval) ? Number(key_values.interval) : 3600;
+      if (!def(key_values.setPriceForecast) || key_values.setPriceForecast.split("[").join("").split("]").join("") == "" ||
+          forecast_prices.some(isNaN) || isNaN(forecast_interval) || forecast_interval <= 0 ||
+          (def(key_values.start) && isNaN(Number(key_values.start)))) {
+        log(LOG_WARN, "Received setPriceForecast with a wrong value: " + key_values.setPriceForecast);
+        res.body = "Received setPriceForecast with a wrong value: " + key_values.setPriceForecast;
+        res.code = 400;
+        break;
+      }
+      if (!def(key_values.start) && (!def(forecast_sys) || forecast_sys === null || !def(forecast_sys.unixtime) ||
+                                     forecast_sys.unixtime === null)) {
+        log(LOG_WARN, "Received setPriceForecast without a start while the device time is not set");
+        res.body = "Received setPriceForecast without a start while the device time is not set";
+        res.code = 400;
+        break;
+      }
+      price_forecast = {start: def(key_values.start) ? Number(key_values.start) :
+                               forecast_sys.unixtime - forecast_sys.unixtime % forecast_interval,
+                        interval: forecast_interval, prices: forecast_prices};
+      log(LOG_INFO, "Received a price forecast of " + forecast_prices.length + " prices from " + price_forecast.start);
+      persistPriceForecast();
+      updatePriceRestriction();
+      res.body = JSON.stringify({priceForecast:{start:price_forecast.start, interval:price_forecast.interval,
+                                                restrictions:price_forecast.prices.map(priceRestriction),
+                                                currentPrice:current_price, priceRestriction:price_restriction}});
+      res.code = 200;
+      break;
+
+    case "setPowerRestriction":
+      let ordered_power_restriction = undefined;
+      try {
+        ordered_power_restriction = JSON.parse(key_values.setPowerRestriction);
+      }
+      catch (error) {
+      }
+      if (typeof(ordered_power_restriction) != "number" || (ordered_power_restriction < 0 && ordered_power_restriction != -1)) {
+        log(LOG_WARN, "Received setPowerRestriction: " + key_values.setPowerRestriction + " is not a power or -1");
+        res.body = "Received setPowerRestriction: " + key_values.setPowerRestriction + " is not a power or -1";
+        res.code = 400;
+        break;
+      }
+      power_restriction_setting = ordered_power_restriction;
+      log(LOG_INFO, "Setting power_restriction_setting to: " + power_restriction_setting);
+      res.body = "Setting power_restriction_setting to: " + power_restriction_setting;
+      res.code = 200;
+      break;
+
+    case "getMonthlyPeaks":
+      res.body = JSON.stringify({monthlyPeaks:{month:monthly_peaks.month, count:monthly_peaks_count_setting,
+                                               peaks:monthly_peaks.peaks, hourlyCap:hourlyCap()}});
+      res.code = 200;
+      break;
+
+    case "resetMonthlyPeaks":
+      log(LOG_WARN, "Monthly peaks " + JSON.stringify(monthly_peaks.peaks) + " reset");
+      monthly_peaks = {month: monthlyPeaksMonth(), peaks: []};
+      persistMonthlyPeaks();
+      res.body = JSON.stringify({monthlyPeaks:{month:monthly_peaks.month, count:monthly_peaks_count_setting,
+                                               peaks:monthly_peaks.peaks, hourlyCap:hourlyCap()}});
+      res.code = 200;
+      break;
+
+    case "getWebhookStatus":
+      res.body = JSON.stringify({webhookStatus:{uri:status_webhook_uri_setting, queued:webhook_queue.length,
+                                                sent:webhook_stats.sent, delivered:webhook_stats.delivered,
+                                                retries:webhook_stats.retries, failed:webhook_stats.failed,
+                                                dropped:webhook_stats.dropped, lastError:webhook_stats.last_error,
+                                                lastDelivery:webhook_stats.last_delivery == -1 ? -1 :
+                                                             current_scan_time - webhook_stats.last_delivery}});
+      res.code = 200;
+      break;
+
+    case "setConfig":
+      let config;
+      try {
+        config = JSON.parse(def(req.body) && req.body !== "" ? req.body : key_values.setConfig);
+      }
+      catch (error) {
+        config = undefined;
+      }
+      let rejected = validateConfig(config);
+      if (rejected.length) {
+        log(LOG_WARN, "Received setConfig: " + JSON.stringify(config) + " is not valid: " + JSON.stringify(rejected));
+        res.body = JSON.stringify({setConfig: {applied: false, errors: rejected}});
+        res.code = 400;
+        break;
+      }
+      if (config_transaction !== null) {
+        res.body = JSON.stringify({setConfig: {applied: false, errors: [{key: "", reason: "a configuration transaction is in progress"}]}});
+        res.code = 409;
+        break;
+      }
+      startConfig(config, res);
+      return;
+
+    case "getConfigErrors":
+      let errors = [];
+      for (let key in config_errors)
+        errors.push({key: key, value: config_errors[key].value, reason: config_errors[key].reason});
+      res.body = JSON.stringify({configErrors: errors});
+      res.code = 200;
+      break;
+
+    case "getStatistics":
+      res.body = JSON.stringify(statisticsReport());
+      if (key_values.reset === "true") {
+        log(LOG_WARN, "Channel statistics " + JSON.stringify(statistics) + " reset");
+        resetStatistics();
+      }
+      res.code = 200;
+      break;
+
+    case "getEventLog":
+      let since = def(key_values.since) ? Number(key_values.since) : undefined;
+      let limit = def(key_values.limit) ? Number(key_values.limit) : undefined;
+      if ((def(since) && isNaN(since)) || (def(limit) && (isNaN(limit) || limit < 0))) {
+        log(LOG_WARN, "Received getEventLog: since " + key_values.since + " or limit " + key_values.limit + " is not valid");
+        res.body = "Received getEventLog: since " + key_values.since + " or limit " + key_values.limit + " is not valid";
+        res.code = 400;
+        break;
+      }
+      res.body = JSON.stringify({eventLog:{size:EVENT_LOG_SIZE, lastSeq:event_seq, events:eventLog(since, limit)}});
+      res.code = 200;
+      break;
+
+    case "metrics":
+      res.body = metricsText();
+      res.headers = [["Content-Type", "application/openmetrics-text; version=1.0.0; charset=utf-8"]];
+      res.code = 200;
+      break;
+
     case "getLoadStatus":
       //print("Answered load_status request");
+      let phase_status = {};
+      let worst = undefined;
+      let time_to_shed = -1;
+      let used_phases = usedPhases();
+      for (let i = 0; i < used_phases.length; i++) {
+        let fuse = fuse_state[used_phases[i]];
+        let fuse_time_to_shed = timeToShed(fuse, phase_current[fuse.phase]);
+        phase_status[fuse.phase] = {current:phase_current[fuse.phase], fuseRating:phaseRating(fuse.phase),
+                                    budgetReduction:budget_reduction[fuse.phase], power:phase_power[fuse.phase],
+                                    overLoadTime:fuse.over_load_time,
+                                    coolDownTimeRemaining:fuse.cool_down_time_remaining,
+                                    fuseHeat:fuse.heat, thermalHeadroom:1 - fuse.heat,
+                                    timeToShed:fuse_time_to_shed};
+        if (!def(worst) || fuse.heat > worst.heat)
+          worst = fuse;
+        if (fuse_time_to_shed != -1 && (time_to_shed == -1 || fuse_time_to_shed < time_to_shed))
+          time_to_shed = fuse_time_to_shed;
+      }
+      if (!def(worst))
+        worst = fuse_state[PHASES[0]];
       res.body = JSON.stringify({loadDirection:direction ,
-                                  overLoadTime:over_load_time, coolDownTimeRemaining:cool_down_time_remaining,
-                                  lastKnownCurrent:last_known_current,
-                                  currentRestriction:current_restriction_setting});
+                                  overLoadTime:worst.over_load_time,
+                                  coolDownTimeRemaining:worst.cool_down_time_remaining,
+                                  fuseHeat:worst.heat, thermalHeadroom:1 - worst.heat,
+                                  timeToShed:time_to_shed,
+                                  phases:phase_status,
+                                  lastKnownCurrent:localChannelArray(last_known_current),
+                                  lastKnownPower:localChannelArray(last_known_power),
+                                  lastKnownByChannel:{current:channelValues(last_known_current),
+                                                      power:channelValues(last_known_power)},
+                                  power:total_power,
+                                  powerRestriction:power_restriction_setting,
+                                  powerBudget:power_budget_setting,
+                                  runningHour:{cap:hourlyCap(), start:running_hour.start,
+                                               elapsed:running_hour.elapsed, energy:running_hour.energy,
+                                               projectedAverage:running_hour.projected,
+                                               allowedPower:running_hour.allowed},
+                                  currentRestriction:current_restriction_setting,
+                                  activeRestriction:activeRestriction(),
+                                  restrictionSource:restrictionSource(),
+                                  scheduleEntry:schedule_entry,
+                                  currentPrice:current_price,
+                                  priceRestriction:price_restriction,
+                                  groupState:degraded_channels.length ? "degraded" : "normal",
+                                  degradedChannels:degraded_channels});
       res.code = 200;
       break;
       
     case "getTripTime":
       let trip_current = Number(key_values.getTripTime);
+      let trip_rating = def(key_values.phase) ? phaseRating(key_values.phase) : fuse_rating_setting;
       if (def(trip_current)){
-        res.body = JSON.stringify({tripData:{current:trip_current, tripTime:getTripTime(trip_current),
-                                  shedMarginFactor:margin_factor_setting}});
+        res.body = JSON.stringify({tripData:{current:trip_current, fuseRating:trip_rating,
+                                  tripTime:getTripTime(trip_current, trip_rating),
+                                  shedMarginFactor:margin_factor_setting, tripCurve:trip_curve_name}});
         res.code = 200;
       }
       else
         res.code = 400       
       break;
       
+    case "clearFault":
+      if (!def(key_values.clearFault)) {
+        res.body = "Received clearFault without a channel id or \"all\"";
+        res.code = 400;
+        break;
+      }
+      let cleared = clearFault(key_values.clearFault, key_values.addr);
+      res.body = "Cleared faults for " + cleared + " channel(s)";
+      res.code = cleared || key_values.clearFault == "all" ? 200 : 404;
+      break;
+
+    case "pin":
+      let pin_duration = Number(key_values.duration);
+      if (!def(key_values.pin) || (key_values.state != "on" && key_values.state != "off") ||
+          !(pin_duration > 0)) {
+        log(LOG_WARN, "Received pin with wrong arguments: " + req.query);
+        res.body = "Received pin with wrong arguments, expected pin=<id|all>&state=<on|off>&duration=<seconds>";
+        res.code = 400;
+        break;
+      }
+      let pinned = pinChannel(key_values.pin, key_values.addr, key_values.state, pin_duration);
+      res.body = "Pinned " + pinned + " channel(s) " + key_values.state + " for " + pin_duration + " seconds";
+      res.code = pinned ? 200 : 404;
+      break;
+
+    case "unpin":
+      let unpinned = 0;
+      for (let i = 0; i < first_to_last_to_shed.length; i++) {
+        if (def(key_values.unpin) && matchesChannel(first_to_last_to_shed[i], key_values.unpin, key_values.addr) &&
+            def(getPin(first_to_last_to_shed[i]))) {
+          unpinChannel(i, "unpinned");
+          unpinned++;
+        }
+      }
+      res.body = "Unpinned " + unpinned + " channel(s)";
+      res.code = unpinned || key_values.unpin == "all" ? 200 : 404;
+      break;
+
+    case "setPriorities":
+      let reordered = def(key_values.setPriorities) ?
+                      reorderChannels(urlDecode(key_values.setPriorities).split("[").join("").split("]").join("").split(",")) :
+                      "no order given";
+      if (typeof(reordered) == "string") {
+        log(LOG_WARN, "Received setPriorities with a wrong order: " + reordered);
+        res.body = "Received setPriorities with a wrong order: " + reordered;
+        res.code = 400;
+        break;
+      }
+      let old_order = first_to_last_to_shed.map(channelRef);
+      first_to_last_to_shed = reordered;
+      log(LOG_INFO, "Shedding priorities changed from: " + JSON.stringify(old_order) + " to: " +
+          JSON.stringify(first_to_last_to_shed.map(channelRef)));
+      if (key_values.persist === "true") {
+        first_to_last_to_shed_kvs = JSON.stringify(first_to_last_to_shed);
+        queueShellyCall("KVS.Set", {key: "first_to_last_to_shed", value: first_to_last_to_shed},
+          function(result, error_code, error_message) {
+            if (error_code != 0)
+              log(LOG_ERROR, "Failed to persist the shedding priorities, error: " + error_message);
+          });
+      }
+      res.body = JSON.stringify({priorities:{old:old_order, new:first_to_last_to_shed.map(channelRef),
+                                             persisted:key_values.persist === "true"}});
+      res.code = 200;
+      break;
+
     case "getSwitchStatus":
       let switchStatus = new Array(first_to_last_to_shed.length);
       let prio = 0;
       for (let i = 0; i < first_to_last_to_shed.length; i++)
         if(first_to_last_to_shed[i].shed) prio++;
       for (let i = 0; i < switchStatus.length; i++){
-        switchStatus[i] = first_to_last_to_shed[i];
-        switchStatus[i].switch_state = switch_state[switchStatus[i].id] == true ? "on" : "off";
+        switchStatus[i] = JSON.parse(JSON.stringify(first_to_last_to_shed[i]));
+        switchStatus[i].switch_state = switch_state[channelKey(first_to_last_to_shed[i])] == true ? "on" : "off";
+        if (!isMeter(switchStatus[i])) {
+          let actuation = getActuation(switchStatus[i]);
+          switchStatus[i].actuation = actuation.faulted ? "faulted" : actuation.pending ? "pending" :
+                                      actuation.retry_at != -1 ? "retrying" : "confirmed";
+          switchStatus[i].fault = actuation.faulted;
+          switchStatus[i].failures = actuation.failures;
+          switchStatus[i].error = actuation.error;
+          let pin = getPin(switchStatus[i]);
+          switchStatus[i].pin = def(pin) ? pin.state : "none";
+          switchStatus[i].pinExpiresIn = def(pin) ? pin.expires - current_scan_time : -1;
+        }
         if(first_to_last_to_shed[i].shed) {
           switchStatus[i].priority = prio-1;
           prio--;
@@ -412,364 +844,1880 @@ function shellyEventCb(event) {
 /*                                        Application functions                                          */
 /*********************************************************************************************************/
 
-/* getTripTime(current);
- * Provides the estimated trip-time in seconds for a fuse with rating and characteristics as defined
- *  by "fuse_rating_setting" and "fuse_char_setting" according to IEC 60269 */
-function getTripTime(current) {
-  let found = false;
-  for (let i = 0; i < fuse_short_trip_current_table.length; i++) {
-    if (fuse_short_trip_current_table[i].fuse_char == fuse_char_setting) {					// Performs a check against the fuse short
-      found = true;																			// characteristics provided by
-      if (fuse_short_trip_current_table[i].over_current < current/fuse_rating_setting) {	// by "fuse_load_trip_time_table" in
-        log(LOG_WARN,"Short detected for switch " + i);										// accordance with IEC 60269
-        return 0;
-      }
-    }
-  }
-  if (!found) return -1;
-  for (let i=0; i<fuse_load_trip_time_table.length; i++) {									// Performs a linear interpolation in-between 
-    if (current / fuse_rating_setting < fuse_load_trip_time_table[i].over_current) {		// The data points provided in
-      if (fuse_load_trip_time_table[i].trip_time == -1) return -1							// "fuse_load_trip_time_table"
-      if (fuse_load_trip_time_table[i-1].trip_time == -1) 
-        return fuse_load_trip_time_table[i].trip_time;
-      let K = (fuse_load_trip_time_table[i].over_current - current/fuse_rating_setting)/
-              (fuse_load_trip_time_table[i].over_current-fuse_load_trip_time_table[i-1].over_current);
-      let segment_add = K*(fuse_load_trip_time_table[i-1].trip_time - 
-                           fuse_load_trip_time_table[i].trip_time);
-      let trip_time = fuse_load_trip_time_table[i].trip_time + segment_add;
+/* function validateTripCurve(curve);
+ * Checks a custom trip curve given as an array of [over_current, trip_time] pairs, over_current in
+ * multiples of the fuse rating and trip_time in seconds. The over_current must be strictly increasing
+ * and the trip time strictly decreasing, the first pair may have a trip time of -1 (will not trip) and
+ * the last pair may have a trip time of 0 (instantaneous trip). Returns an error string, "" if valid */
+function validateTripCurve(curve) {
+  if (!Array.isArray(curve) || curve.length < 2)
+    return "the curve must be an array of at least two [over_current, trip_time] pairs";
+  for (let i = 0; i < curve.length; i++) {
+    if (!Array.isArray(curve[i]) || curve[i].length != 2 ||
+        typeof curve[i][0] != "number" || typeof curve[i][1] != "number")
+      return "element " + i + " is not an [over_current, trip_time] pair of numbers";
+    if (curve[i][0] <= 0)
+      return "element " + i + " has a non positive over_current";
+    if (curve[i][1] == -1 && i != 0)
+      return "only the first element may have a trip_time of -1";
+    if (curve[i][1] == 0 && i != curve.length - 1)
+      return "only the last element may have a trip_time of 0";
+    if (curve[i][1] < 0 && curve[i][1] != -1)
+      return "element " + i + " has a negative trip_time";
+    if (i > 0 && curve[i][0] <= curve[i-1][0])
+      return "over_current is not strictly increasing at element " + i;
+    if (i > 0 && curve[i-1][1] != -1 && curve[i][1] >= curve[i-1][1])
+      return "trip_time is not strictly decreasing at element " + i;
+  }
+  return "";
+}
+
+
+/* function selectFallbackTripCurve();
+ * Selects the most conservative built-in trip curve - the one with the lowest non-tripping current - when
+ * no trip curve has been selected yet, such that an invalid fuse configuration never means "never trip" */
+function selectFallbackTripCurve() {
+  if (def(trip_curve)) return;
+  let fallback = fuse_trip_curve_table[0];
+  for (let i = 1; i < fuse_trip_curve_table.length; i++)
+    if (fuse_trip_curve_table[i].curve[0].over_current < fallback.curve[0].over_current)
+      fallback = fuse_trip_curve_table[i];
+  trip_curve = fallback.curve;
+  short_trip_current = -1;
+  for (let j = 0; j < fuse_short_trip_current_table.length; j++)
+    if (fuse_short_trip_current_table[j].fuse_char == fuse_char_setting)
+      short_trip_current = fuse_short_trip_current_table[j].over_current;
+  trip_curve_name = fallback.standard + " " + fallback.fuse_chars[0] + " (fallback)";
+  log(LOG_ERROR, "Using the most conservative built-in trip curve: " + trip_curve_name);
+}
+
+
+/* function selectTripCurve();
+ * Selects the trip curve used by getTripTime(). A valid custom curve from "fuse_custom_trip_curve_setting"
+ * takes precedence, otherwise the built-in curve for "fuse_standard_setting" and "fuse_char_setting" is
+ * used. If no valid curve can be found the previously selected curve is kept, or the most conservative
+ * built-in curve if none has been selected, see selectFallbackTripCurve(). The selection is deferred
+ * while a "setConfig" transaction is applied, see commitConfig() */
+function selectTripCurve() {
+  if (config_transaction !== null && config_transaction.state == "applying")
+    return;
+  if (fuse_custom_trip_curve_setting.length) {
+    let error = validateTripCurve(fuse_custom_trip_curve_setting);
+    if (error == "") {
+      trip_curve = [];
+      short_trip_current = -1;
+      for (let i = 0; i < fuse_custom_trip_curve_setting.length; i++) {
+        if (fuse_custom_trip_curve_setting[i][1] == 0)
+          short_trip_current = fuse_custom_trip_curve_setting[i][0];
+        else
+          trip_curve.push({over_current: fuse_custom_trip_curve_setting[i][0],
+                           trip_time: fuse_custom_trip_curve_setting[i][1]});
+      }
+      trip_curve_name = "custom";
+      log(LOG_INFO, "Using custom trip curve: " + JSON.stringify(fuse_custom_trip_curve_setting));
+      return;
+    }
+    log(LOG_ERROR, "Custom trip curve rejected, " + error + ", keeping trip curve: " + trip_curve_name);
+    selectFallbackTripCurve();
+    return;
+  }
+  for (let i = 0; i < fuse_trip_curve_table.length; i++) {
+    if (fuse_trip_curve_table[i].standard == fuse_standard_setting &&
+        fuse_trip_curve_table[i].fuse_chars.indexOf(fuse_char_setting) != -1) {
+      trip_curve = fuse_trip_curve_table[i].curve;
+      short_trip_current = -1;
+      for (let j = 0; j < fuse_short_trip_current_table.length; j++)
+        if (fuse_short_trip_current_table[j].fuse_char == fuse_char_setting)
+          short_trip_current = fuse_short_trip_current_table[j].over_current;
+      trip_curve_name = fuse_standard_setting + " " + fuse_char_setting;
+      log(LOG_INFO, "Using built-in trip curve: " + trip_curve_name);
+      return;
+    }
+  }
+  log(LOG_ERROR, "No built-in trip curve for fuse characteristics " + fuse_char_setting + " according to " +
+      fuse_standard_setting + ", keeping trip curve: " + trip_curve_name);
+  selectFallbackTripCurve();
+}
+
+
+/* function phaseRating(phase);
+ * Provides the fuse rating for the phase, as given by "phase_fuse_rating_setting" or otherwise
+ * by "fuse_rating_setting" */
+function phaseRating(phase) {
+  if (def(phase_fuse_rating_setting[phase]))
+    return phase_fuse_rating_setting[phase];
+  return fuse_rating_setting;
+}
+
+
+/* function channelPhases(o);
+ * Provides the phases loaded by the channel "o": all three phases for a linked three-phase load
+ * (phase: "abc") switched through a contactor, otherwise the channel phase - "a" if not given */
+function channelPhases(o) {
+  if (o.phase == "abc") return PHASES;
+  if (PHASES.indexOf(o.phase) != -1) return [o.phase];
+  return ["a"];
+}
+
+
+/* function usedPhases();
+ * Provides the phases loaded by any of the channels in "first_to_last_to_shed" */
+function usedPhases() {
+  let used = [];
+  for (let i = 0; i < PHASES.length; i++) {
+    for (let j = 0; j < first_to_last_to_shed.length; j++) {
+      if (channelPhases(first_to_last_to_shed[j]).indexOf(PHASES[i]) != -1) {
+        used.push(PHASES[i]);
+        break;
+      }
+    }
+  }
+  return used;
+}
+
+
+/* function fuseName(fuse);
+ * Provides the fuse name used in log entries, the phase is only given for multi-phase groups */
+function fuseName(fuse) {
+  return usedPhases().length > 1 ? "Phase " + fuse.phase + " fuse" : "Fuse";
+}
+
+
+/* getTripTime(current, rating);
+ * Provides the estimated trip-time in seconds for a fuse with the given rating, "fuse_rating_setting"
+ *  if not given, and the trip curve selected by selectTripCurve(). 0 means instantaneous
+ *  trip (short), -1 means that the fuse will not trip */
+function getTripTime(current, rating) {
+  if (!def(trip_curve)) return -1;
+  let load_ratio = current/(def(rating) ? rating : fuse_rating_setting);
+  if (short_trip_current != -1 && short_trip_current < load_ratio) {					// Performs a check against the fuse short
+    log(LOG_WARN,"Short detected at " + current + " A");									// characteristics
+    return 0;
+  }
+  for (let i=0; i<trip_curve.length; i++) {												// Performs a linear interpolation in-between 
+    if (load_ratio <= trip_curve[i].over_current) {										// the data points provided in
+      if (i == 0 || trip_curve[i].trip_time == -1) return -1								// "trip_curve"
+      if (trip_curve[i-1].trip_time == -1) 
+        return trip_curve[i].trip_time;
+      let K = (trip_curve[i].over_current - load_ratio)/
+              (trip_curve[i].over_current-trip_curve[i-1].over_current);
+      let segment_add = K*(trip_curve[i-1].trip_time - 
+                           trip_curve[i].trip_time);
+      let trip_time = trip_curve[i].trip_time + segment_add;
       return trip_time;
     }
   }
-  return fuse_load_trip_time_table[fuse_load_trip_time_table.length].trip_time;
+  return trip_curve[trip_curve.length-1].trip_time;
+}
+
+
+/* function updateFuseHeat(fuse, current);
+ * Maintains the thermal state "fuse.heat" of a phase fuse as the fraction of the heat that trips the
+ * fuse (0: cold, 1: tripped) and returns the trip time for the current as given by getTripTime().
+ * Current in the fuse tripping range heats the fuse at a pace given by the trip curve, such that a
+ * constant over-current trips the fuse after getTripTime(current) seconds. Current below the fuse
+ * rating lets the fuse cool off exponentially with the "fuse_cooling_time_constant_setting" time
+ * constant, the closer to the rating the slower. Heat from earlier overloads is hence remembered. */
+function updateFuseHeat(fuse, current) {
+  let dt = scan_interval * (overrun_cnt + 1);
+  let rating = phaseRating(fuse.phase);
+  let trip_time = getTripTime(current, rating);
+  if (trip_time == 0 && !fuse.shorted)
+    logEvent("short", undefined, fuseName(fuse) + " short detected at " + current + " A");
+  fuse.shorted = trip_time == 0;
+  if (trip_time == 0)
+    fuse.heat = 1;
+  else if (trip_time > 0)
+    fuse.heat = Math.min(1, fuse.heat + dt/trip_time);
+  else if (current < rating) {
+    let load_ratio = current/rating;
+    fuse.heat *= Math.exp(-dt * (1 - load_ratio*load_ratio)/fuse_cooling_time_constant_setting);
+  }
+  return trip_time;
+}
+
+
+/* function timeToShed(fuse, current);
+ * Provides the estimated time in seconds until shedding starts for a phase fuse if the current stays
+ * as is, -1 if the current does not heat the fuse */
+function timeToShed(fuse, current) {
+  let trip_time = getTripTime(current, phaseRating(fuse.phase));
+  if (trip_time == -1) return -1;
+  return Math.max(0, (1/margin_factor_setting - fuse.heat) * trip_time);
+}
+
+
+/* function coolDownTime(fuse, current);
+ * Provides the estimated time in seconds until a phase fuse has cooled down to "FUSE_COOLED_HEAT"
+ * at the given current, or at no current if the fuse does not cool at the given current.
+ * -1 if the fuse is already cooled down */
+function coolDownTime(fuse, current) {
+  if (fuse.heat <= FUSE_COOLED_HEAT) return -1;
+  let rating = phaseRating(fuse.phase);
+  let load_ratio = current < rating ? current/rating : 0;
+  return fuse_cooling_time_constant_setting * Math.log(fuse.heat/FUSE_COOLED_HEAT) /
+         (1 - load_ratio*load_ratio);
 }
 
 
-/* mustShed(current();
- * Checks if the next channel in priority order must be turned off in order to avoid that the group 
- * fuse trips. This function takes into account the tripping time according to the fuse rating- 
- * and characteristics as provided by getTripTime() functions and applies a safety margin defined by 
- * and applies a margin as defined by "margin_factor_setting" */
-function mustShed(current) {
-  //print("overload time: " + over_load_time );
-  //print("overrun_cnt :" + overrun_cnt )
-  if (current_restriction_setting != -1 && current > current_restriction_setting) {
-    log(LOG_INFO, "The total curret exceeds northbound ordered current restriction " + 
-        current + " A > " + current_restriction_setting + "A");
+/* mustShed(fuse, current);
+ * Checks if a channel loading the phase of "fuse" must be turned off in order to avoid that the
+ * phase fuse trips. The decision is based on the fuse thermal state maintained by updateFuseHeat(),
+ * shedding starts when the fuse heat reaches the trip heat divided by "margin_factor_setting" - I.e. at
+ * the trip time divided by "margin_factor_setting" for a cold fuse, earlier if the fuse is already warm
+ * from earlier overloads */
+function mustShed(fuse, current) {
+  let restriction = phaseRestriction(fuse.phase);
+  fuse.overloaded = false;
+  if (restriction != -1 && current > restriction) {
+    log(LOG_INFO, "The " + (usedPhases().length > 1 ? "phase " + fuse.phase : "total") +
+        " curret exceeds " + (restriction != activeRestriction() ? "degraded group" :
+                              {manual: "northbound ordered", schedule: "scheduled", price: "price"}[restrictionSource()]) +
+        " current restriction " + current + " A > " + restriction + "A");
+    updateFuseHeat(fuse, current);
+    fuse.overloaded = fuse.heat >= 1/margin_factor_setting;
     return true;
   }
-  current_trip_time = getTripTime(current);
-  if (current_trip_time == -1) { 															// TODO We should probably let the fuse cool
-    min_triptime_time = -1;																	// down if previously overloaded but not
-    over_load_time = -1;																	// shedded
+  let dt = scan_interval * (overrun_cnt + 1);
+  let current_trip_time = updateFuseHeat(fuse, current);
+  if (current_trip_time == -1) {
+    if (fuse.over_load_time != -1)
+      log(LOG_INFO, fuseName(fuse) + " overload ceased at " + current + " A, fuse heat is at " +
+          Math.round(fuse.heat*100) + "% of the trip heat");
+    fuse.min_trip_time = -1;
+    fuse.over_load_time = -1;
     return false;
   }
-  if (over_load_time == -1) {
-    over_load_time = 0;
-    min_trip_time = current_trip_time;
-    log(LOG_INFO, "Fuse is overloaded at " + current + " A, it will trip in " + current_trip_time +
-        " seconds, shedding will start in " + current_trip_time/margin_factor_setting  + " seconds");
-  }
-  else over_load_time += scan_interval * (overrun_cnt + 1);
-  if (current_trip_time < min_trip_time) {
-    min_trip_time = current_trip_time;
-    log(LOG_INFO, "Fuse overload escalation, now at " + current + " A, it will trip in " +
-        current_trip_time + " seconds, shedding will start in " + current_trip_time/margin_factor_setting  +
+  if (fuse.over_load_time == -1) {
+    fuse.over_load_time = 0;
+    fuse.min_trip_time = current_trip_time;
+    logEvent("overload_start", undefined, fuseName(fuse) + " overloaded at " + current + " A, it will trip in " +
+             Math.round((1 - fuse.heat)*current_trip_time) + " seconds");
+    log(LOG_INFO, fuseName(fuse) + " is overloaded at " + current + " A with a fuse heat at " +
+        Math.round(fuse.heat*100) + "% of the trip heat, it will trip in " + (1 - fuse.heat)*current_trip_time +
+        " seconds, shedding will start in " + timeToShed(fuse, current) + " seconds");
+  }
+  else fuse.over_load_time += dt;
+  if (current_trip_time < fuse.min_trip_time) {
+    fuse.min_trip_time = current_trip_time;
+    log(LOG_INFO, fuseName(fuse) + " overload escalation, now at " + current + " A, it will trip in " +
+        (1 - fuse.heat)*current_trip_time + " seconds, shedding will start in " + timeToShed(fuse, current) +
         " seconds");  
   }
-  if (over_load_time > min_trip_time/margin_factor_setting ||
-     (min_trip_time/margin_factor_setting) - over_load_time < scan_interval * (overrun_cnt + 1)) {
-    log(LOG_INFO, "Fuse overloaded with " + current + " A for " + over_load_time +
-        " seconds, shedding will start");
+  if (fuse.heat >= 1/margin_factor_setting ||
+      fuse.heat + dt/current_trip_time >= 1/margin_factor_setting) {
+    log(LOG_INFO, fuseName(fuse) + " overloaded with " + current + " A for " + fuse.over_load_time +
+        " seconds, fuse heat is at " + Math.round(fuse.heat*100) + "% of the trip heat, shedding will start");
+    fuse.overloaded = true;
     return true;
   }
   return false;
 }
 
 
-/* function canLoad(current);
- * Provides an indication whether the group fuse can take more load even if so little.
- * After an overload situation, the fuse is not allowed to take more load until the 
- * fuse has cooled down for "cool_down_time_setting" seconds. */
-function canLoad(current) {
-  last_known_current[first_to_last_to_shed[nextIdxToLoad()].id]
-  if (current_restriction_setting != -1 &&
-      current_restriction_setting < (current +
-      last_known_current[first_to_last_to_shed[nextIdxToLoad()].id]) *
-      (1 + current_restriction_hysteresis_setting))
-    return false;
-  if (current > fuse_rating_setting) {
-    cool_down_time_remaining = cool_down_time_setting;
-    return false;
+/* function hourlyCap();
+ * Provides the hourly average power cap in effect: "hourly_power_cap_setting", raised to the N:th highest
+ * hourly average of the month when the monthly peak table is full (see recordMonthlyPeak()) as staying
+ * under it does not set a new billable peak. -1 means no cap */
+function hourlyCap() {
+  let peaks = monthly_peaks.month == monthlyPeaksMonth() ? monthly_peaks.peaks : [];
+  if (monthly_peaks_count_setting <= 0 || peaks.length < monthly_peaks_count_setting)
+    return hourly_power_cap_setting;
+  return Math.max(hourly_power_cap_setting, peaks[monthly_peaks_count_setting - 1].average);
+}
+
+
+/* function monthlyPeaksMonth(ago);
+ * Provides the local month ("YYYY-MM") of the device time, or "ago" seconds back if given, "" if the device
+ * time is not yet set */
+function monthlyPeaksMonth(ago) {
+  let now = localTime(ago);
+  return def(now) ? now.date.slice(0, 7) : "";
+}
+
+
+/* function recordMonthlyPeak(start, average, ago);
+ * Records the average power of the hour started at "start" (unixtime), "ago" seconds back, in the top
+ * "monthly_peaks_count_setting" hourly averages of its month. The table is restarted for a new month and
+ * is persisted in the KVS "monthly_peaks" whenever it changes */
+function recordMonthlyPeak(start, average, ago) {
+  let month = monthlyPeaksMonth(ago);
+  if (monthly_peaks_count_setting <= 0 || month == "")
+    return;
+  if (monthly_peaks.month != month) {
+    if (monthly_peaks.month != "")
+      log(LOG_INFO, "The monthly peaks of " + monthly_peaks.month + " were: " + JSON.stringify(monthly_peaks.peaks));
+    monthly_peaks = {month: month, peaks: []};
   }
-  if (cool_down_time_remaining == cool_down_time_setting) {
-    log(LOG_INFO, "The fuse that was previously overloaded, is now at " + current + 
-                  " A, but needs to cool down for " + cool_down_time_remaining +
-                  " seconds before any further loading is allowed");
+  let peaks = monthly_peaks.peaks;
+  if (peaks.length >= monthly_peaks_count_setting && average <= peaks[peaks.length - 1].average)
+    return;
+  let i = 0;
+  while (i < peaks.length && peaks[i].average >= average) i++;
+  peaks.splice(i, 0, {start: start, average: Math.round(average)});
+  if (peaks.length > monthly_peaks_count_setting)
+    peaks.splice(monthly_peaks_count_setting, peaks.length - monthly_peaks_count_setting);
+  log(LOG_INFO, "New monthly peak of " + Math.round(average) + " W for the hour from " + start +
+      ", the monthly peaks are: " + JSON.stringify(peaks));
+  persistMonthlyPeaks();
+}
+
+
+/* function persistMonthlyPeaks();
+ * Stores the monthly peak table in the KVS "monthly_peaks" */
+function persistMonthlyPeaks() {
+  monthly_peaks_kvs = JSON.stringify(monthly_peaks);
+  queueShellyCall("KVS.Set", {key: "monthly_peaks", value: monthly_peaks},
+    function(result, error_code, error_message) {
+      if (error_code != 0)
+        log(LOG_ERROR, "Failed to persist the monthly peaks, error: " + error_message);
+    });
+}
+
+
+/* function updateRunningHour(power);
+ * Integrates the energy drawn in the running clock hour for the hourly average power cap (capacity
+ * tariffs billing on the average power over each clock hour). The hourly average is projected by assuming
+ * that "power" is drawn for the rest of the hour, and the power allowed for the rest of the hour to keep
+ * the average under hourlyCap() is provided in "running_hour.allowed" (-1: no cap, or the device time is
+ * not set). Finished hours are recorded by recordMonthlyPeak(). The energy before a script start within
+ * the hour is not known */
+function updateRunningHour(power) {
+  let sys = Shelly.getComponentStatus("sys");
+  if ((hourly_power_cap_setting == -1 && monthly_peaks_count_setting <= 0) || !def(sys) || sys === null ||
+      !def(sys.unixtime) || sys.unixtime === null) {
+    running_hour.allowed = -1;
+    return;
   }
-  if (cool_down_time_remaining <= scan_interval * (overrun_cnt + 1)) {
-    if(cool_down_time_remaining != -1) {
-      log(LOG_INFO, "The fuse that was previously overloaded " + 
-                "has been cooled down for further loading");
+  let start = sys.unixtime - sys.unixtime % 3600;
+  if (start != running_hour.start) {
+    if (running_hour.start != -1) {
+      log(LOG_INFO, "The average power of the hour from " + running_hour.start + " was " + Math.round(running_hour.energy) +
+          " W" + (running_hour.elapsed < 3600 ? ", measured during " + running_hour.elapsed + " seconds" : ""));
+      recordMonthlyPeak(running_hour.start, running_hour.energy, sys.unixtime - running_hour.start);
     }
-    cool_down_time_remaining = -1;
-    return true;
+    running_hour = {start: start, ts: sys.unixtime, elapsed: 0, energy: 0, projected: 0, allowed: -1};
   }
-  cool_down_time_remaining -= scan_interval * (overrun_cnt + 1);
-  return false;
+  let remaining = Math.max(scan_interval, start + 3600 - sys.unixtime);
+  running_hour.energy += power * (sys.unixtime - running_hour.ts) / 3600;
+  running_hour.elapsed += sys.unixtime - running_hour.ts;
+  running_hour.ts = sys.unixtime;
+  running_hour.projected = running_hour.energy + power * remaining / 3600;
+  running_hour.allowed = hourlyCap() == -1 ? -1 : Math.max(0, (hourlyCap() - running_hour.energy) * 3600 / remaining);
 }
 
 
-/* function get_current();
- * Provides the aggregated current through the group fuse to be protected, I.e. the sum of the 
- * current through all channels. If in simulation mode, the current is the aggregate of the
- * "simulated_current[]" array elements. */
-function get_current() {															        // TODO, must be changed to async
-  //print("Simulated current: " + Number(simulated_current[0]) + "," + Number(simulated_current[1]) + "," + Number(simulated_current[2]) + "," + Number(simulated_current[3]));
-  //print("switch_state: " + switch_state);
-  let previous_current_ten_percent_deviation = 0;											// in order to fetch from NW API
-  let total_current = 0;
-  if (simulation) {
-    //print("switch state: " + switch_state);
+/* function powerLimit();
+ * Provides the power limit in effect: the lowest of the manual power restriction, the power budget and
+ * the power allowed by the hourly average power cap (see updateRunningHour()), -1 means no limit */
+function powerLimit() {
+  let limits = [power_restriction_setting, power_budget_setting, running_hour.allowed];
+  let limit = -1;
+  for (let i = 0; i < limits.length; i++)
+    if (limits[i] != -1 && (limit == -1 || limits[i] < limit))
+      limit = limits[i];
+  return limit;
+}
 
-    for (let i = 0; i < first_to_last_to_shed.length; i++) {
-      if (switch_state[first_to_last_to_shed[i].id] == true && first_to_last_to_shed[i].measure) {
-          //print("Measuring");
-          last_known_current[first_to_last_to_shed[i].id] = Number(simulated_current[first_to_last_to_shed[i].id]);
-          current_vector[first_to_last_to_shed[i].id] = Number(simulated_current[first_to_last_to_shed[i].id]);
-      }
-      else {
-        //print("Dont measure");
-        current_vector[first_to_last_to_shed[i].id] = 0;
-      }
-    }
-    //print("current vector: " + current_vector);
-  }
-  else { //FIX!!!!
-    for (let i = 0; i < let first_to_last_to_shed.length; i++) {
-      if (first_to_last_to_shed[i].addr == "localhost" && first_to_last_to_shed[i].measure){
-      	current_vector[first_to_last_to_shed[i].id] = Shelly.getComponentStatus("switch:" + first_to_last_to_shed[i].id).current;
-      	if (idx_next_to_toggle_off <= i) 
-	      last_known_current[i] = current_vector[i];
-      }
-      else if ( first_to_last_to_shed[i].measure)
-	queueShellyCall("HTTP.GET", { url: "http://" + first_to_last_to_shed[i].addr +
-                  "/rpc/Shelly.GetStatus?switch:" + i }, 
-			function(result, error_code, error_message, idx) {
-			  if( def( result )) {
-			    current_vector[idx] = result.current;
-			    if (idx_next_to_toggle_off <= i) 
-	  		      last_known_current[i] = current_vector[i];
-			  }
-      }, 
-      i);
-    }
-  }
-  for (let i = 0; i < current_vector.length; i++)
-    total_current += current_vector[i];
-  if (previous_current_ten_percent_deviation && 
-      (total_current > previous_current_ten_percent_deviation*1.1 ||
-      total_current <= previous_current_ten_percent_deviation*0.9)) {
-    log(LOG_INFO, "Current has changed more than 10% since last report, from: " 
-        + previous_current_ten_percent_deviation + " A - to: " + total_current + " A");
-    previous_current_ten_percent_deviation = total_current;
-  }
-  return total_current;
+
+/* function mustShedPower(power);
+ * Checks if a channel must be turned off because the total active power exceeds the power limit given
+ * by powerLimit(). Like for current restrictions, exceeding the power limit leads to instant shedding */
+function mustShedPower(power) {
+  if (powerLimit() == -1 || power <= powerLimit())
+    return false;
+  log(LOG_INFO, "The total power exceeds the " + (powerLimit() == power_restriction_setting ? "power restriction " :
+      powerLimit() == power_budget_setting ? "power budget " : "power allowed by the hourly power cap ") +
+      power + " W > " + powerLimit() + " W");
+  return true;
 }
 
 
-/* function turn()
- * Turns the switch first_to_last_to_shed[idx] on or off */
-function turn(idx, dir) {
-  o = first_to_last_to_shed[idx];
-  log(LOG_INFO, "Turning switch " + o.id + " to " + dir);
-  on = dir == "on" ? true : false;
-  switch_state[o.id] = on;
-  if(simulation)
-	return;
-  if (def(o.gen)) {
-    let cmd;
-    if (o.gen == 1) cmd = o.type + "/" + o.id.toString() + "?turn=" + dir;
-    else cmd = "rpc/" + o.type + ".Set?id=" + o.id.toString() + "&on=" + on;
-    queueShellyCall("HTTP.GET", { url: "http://" + o.addr + "/" + cmd }, turnCallBack, {idx});
+/* function canLoad(fuse, current);
+ * Provides an indication whether a phase fuse can take more load even if so little.
+ * After an overload situation, the fuse is not allowed to take more load until the fuse
+ * thermal state maintained by updateFuseHeat() has cooled down to "FUSE_COOLED_HEAT".
+ * Whether a particular channel fits the fuse is decided by fitsLoad() */
+function canLoad(fuse, current) {
+  if (current > phaseRating(fuse.phase) || fuse.heat > FUSE_COOLED_HEAT) {
+    fuse.cool_down_time_remaining = coolDownTime(fuse, current);
+    if (!fuse.cool_logging && fuse.cool_down_time_remaining != -1) {
+      log(LOG_INFO, fuseName(fuse) + " that was previously overloaded, is now at " + current + 
+                    " A, but needs to cool down for about " + fuse.cool_down_time_remaining +
+                    " seconds before any further loading is allowed");
+      logEvent("cool_down_start", undefined, fuseName(fuse) + " needs to cool down for about " +
+               Math.round(fuse.cool_down_time_remaining) + " seconds");
+      fuse.cool_logging = true;
+    }
+    return false;
   }
-  if (def(o.on_url) && dir == "on")
-    queueShellyCall("HTTP.GET", { url: o.on_url }, turnCallBack, {idx});
-  if (def(o.off_url) && dir == "off")
-    queueShellyCall("HTTP.GET", { url: o.off_url }, turnCallBack, {idx});
+  if (fuse.cool_logging) {
+    log(LOG_INFO, fuseName(fuse) + " that was previously overloaded " + 
+                  "has been cooled down for further loading");
+    logEvent("cool_down_end", undefined, fuseName(fuse) + " has been cooled down");
+    fuse.cool_logging = false;
+  }
+  fuse.cool_down_time_remaining = -1;
+  return true;
 }
 
 
-/* function turnCallBack()
- * Callback function from turn() */
-function turnCallBack(result, error_code, error_message, idx) {
-  if (error_code != 0);
-    log(LOG_ERROR, "failed to operate switch " + idx + "Error: " + error_message);
-    // TBD: currently we don't have any retry logic
-  else
-    log(LOG_INFO, "switch " + idx + " operated successfully");
+/* function fitsLoad(idx, can_load);
+ * Checks if the shedded channel first_to_last_to_shed[idx] can be loaded: each of its phase fuses
+ * must be able to take more load (see canLoad()), and the phase current with the channel's last
+ * known current added must neither exceed the phase fuse rating nor any current restriction as given
+ * by phaseRestriction(), and the total power with the channel's last known power added must not exceed
+ * the power limit given by powerLimit() (both including the restriction hysteresis). The channel to
+ * test load ("test_load_key") is checked as if its last known load was 0 */
+function fitsLoad(idx, can_load) {
+  let o = first_to_last_to_shed[idx];
+  let phases = channelPhases(o);
+  let test_load = channelKey(o) == test_load_key;
+  if (powerLimit() != -1 &&
+      powerLimit() < (total_power + (test_load ? 0 : last_known_power[channelKey(o)])) *
+                     (1 + current_restriction_hysteresis_setting))
+    return false;
+  for (let i = 0; i < phases.length; i++) {
+    let expected = phase_current[phases[i]] + (test_load ? 0 : last_known_current[channelKey(o)]);
+    if (!can_load[phases[i]] || expected > phaseRating(phases[i]))
+      return false;
+    if (phaseRestriction(phases[i]) != -1 &&
+        phaseRestriction(phases[i]) < expected * (1 + current_restriction_hysteresis_setting))
+      return false;
+  }
+  return true;
 }
 
 
-/* function updateSettingsFromKVS();
- * This functions sets the script variables from the Shelly Key-Value store which can be user set. */
-function updateSettingsFromKVS(){
-  //print("GOT KVS UPDATE");
-  queueShellyCall("KVS.GetMany", {},
-    function (result, error_code, error_message) {
-      for (let KVS in result.items) {
-        switch (result.items[KVS].key){
-
-          case "hostname_setting":
-            if (hostname_setting != result.items[KVS].value) {
-              hostname_setting = result.items[KVS].value;
-              log(LOG_INFO, "Hostname is set to: " + result.items[KVS].value);
-            }
-            break;
+/* function isMeter(o);
+ * Checks if the channel "o" is an energy meter channel (Pro 3EM: "em", Pro EM/EM Gen3: "em1",
+ * PM Mini: "pm1") rather than a switched channel */
+function isMeter(o) {
+  return o.type == "em" || o.type == "em1" || o.type == "pm1";
+}
 
-          case "fuse_rating_setting":
-            if (fuse_rating_setting != result.items[KVS].value) {
-              fuse_rating_setting = result.items[KVS].value;
-              log(LOG_INFO, "Fuse rating changed to: " + result.items[KVS].value);
-            }
-            break;
-            
-          case "fuse_char_setting":
-            if (fuse_char_setting != result.items[KVS].value) {
-              fuse_char_setting = result.items[KVS].value;
-              log(LOG_INFO, "Fuse characteristics changed to: " + result.items[KVS].value);
-            }
-            break;
 
-          case "margin_factor_setting":
-            if (margin_factor_setting != result.items[KVS].value) {
-              margin_factor_setting = result.items[KVS].value;
-              log(LOG_INFO, "Fuse trip margin factor changed to: " + result.items[KVS].value);
-            }
-            break;
+/* function channelKey(o);
+ * Provides a key identifying the channel "o" by device address, component and phase such that
+ * switches and meters with the same id do not collide */
+function channelKey(o) {
+  return o.addr + "/" + (isMeter(o) ? o.type : "switch") + ":" + o.id + (def(o.phase) ? "/" + o.phase : "");
+}
 
-          case "cool_down_time_setting":
-            if (cool_down_time_setting != result.items[KVS].value) {
-              cool_down_time_setting = result.items[KVS].value;
-              log(LOG_INFO, "Fuse cool down time befor re-loading changed to: " +
-                  result.items[KVS].value);
-            }
-            break;
 
-          case "first_to_last_to_shed":
-            if (first_to_last_to_shed != result.items[KVS].value) {
-              first_to_last_to_shed = result.items[KVS].value;
-              log(LOG_INFO, "Shedding scheme has changed to: " + result.items[KVS].value);
-            }
-            break;
+/* function channelValues(values);
+ * Provides the channel key indexed "values" of the switched channels in "first_to_last_to_shed" */
+function channelValues(values) {
+  let channel_values = {};
+  for (let i = 0; i < first_to_last_to_shed.length; i++)
+    if (!isMeter(first_to_last_to_shed[i]))
+      channel_values[channelKey(first_to_last_to_shed[i])] = values[channelKey(first_to_last_to_shed[i])];
+  return channel_values;
+}
 
-        case "time_to_test_loading_setting":
-            if (time_to_test_loading_setting != result.items[KVS].value) {
-              time_to_test_loading_setting = result.items[KVS].value;
-              log(LOG_INFO, "Time to test increased loading despite no margins changed to: " +
-                  result.items[KVS].value);
-            }
-            break;
-
-          case "scan_interval":
-             if (scan_interval != result.items[KVS].value) {
-               scan_interval = result.items[KVS].value;
-               log(LOG_INFO, "Scan interval changed to: " + result.items[KVS].value);
-             }
-             break;
-
-          case "current_restriction_hysteresis_setting":
-            if (current_restriction_hysteresis_setting != result.items[KVS].value) {
-              current_restriction_hysteresis_setting = result.items[KVS].value;
-              log(LOG_INFO, "Current restriction hysteresis changed to : " + result.items[KVS].value);
-            }
-            break;
-            
-          case "overload_webhook_uri_setting":
-            if (overload_webhook_uri_setting != result.items[KVS].value) {
-              overload_webhook_uri_setting = result.items[KVS].value;
-              log(LOG_INFO, "Overload Webhook URI set to  " + result.items[KVS].value);
-            }
-            break;            
-            
-          case "log_level_setting":
-            if (log_level_setting!= result.items[KVS].value) {
-              log_level_setting = result.items[KVS].value;
-              log(LOG_INFO, "Log level changed to: " + result.items[KVS].value);
-            }
-            break;
 
-          case "factory_reset_to_default":
-            log(LOG_INFO, "Reboot to factory default");
-            queueShellyCall("KVS.List", {}, 
-                            function (result, error_code, error_message) {
-		                      for (key in result.keys) {
-		                        queueShellyCall("KVS.DELETE", {key:key},
-		                          function(result, error_code, error_message) {
-                                    return;
-                                  }
-                                );
-		                      }
-                              return;
-                            }
-            );
-            Timer.set(5000, false, reboot);
-            break;
-                       
-          default:
-            break;
-        }
-      }
-      return; 
-    }
-  );
+/* function localChannelArray(values);
+ * Provides the channel key indexed "values" of the local switched channels as an array indexed by channel
+ * id, the shape of the channel vectors of a single device shedding group. See channelValues() for all
+ * channels */
+function localChannelArray(values) {
+  let array = [];
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (isMeter(o) || o.addr != "localhost") continue;
+    while (array.length <= o.id) array.push(0);
+    array[o.id] = values[channelKey(o)];
+  }
+  return array;
 }
 
 
-//FIX - refactoring update and delete KVS handling to be more uniform
-/* function createKV(k, v, over_write);
- * Creates Key-value store entries from the script defined setting defaults, if "over_write" is 
- * set to true it will over-write an already existing key-value, otherwise not */
-function createKV(k, v, over_write) {
-  queueShellyCall("KVS.Get", {key:k}, 
-    function (result, error_code, error_message) {
-       if(!def(result) || over_write) {
-         queueShellyCall("KVS.Set", {key:k, value:v}, 
-           function(result, error_code, error_message){
-             return;  
-           }
-         );
-       }
-    }
-  );
+/* function getReading(o);
+ * Provides the current reading record for the channel "o", "actuated" is the scan time when the channel
+ * was last ordered on or off (-1: never) */
+function getReading(o) {
+  let key = channelKey(o);
+  if (!def(channel_readings[key]))
+    channel_readings[key] = {current: 0, peak: 0, power: 0, peak_power: 0, ts: -1, state: "stale", pending: false,
+                             created: current_scan_time, actuated: -1};
+  return channel_readings[key];
 }
 
 
-/* function deleteKV(k);
- * Deletes Key-value store entries */
-function deleteKV(keys, cb, params) {
-  if (delete_KVS_cnt) return -1;
-  for(let i=0; i<keys.length; i++){
-    delete_KVS_cnt++;
-    queueShellyCall("KVS.Delete", {key:keys[i]},
-                    function(result, error_code, error_message, params) {
-                      delete_KVS_cnt--;
-                      if(!delete_KVS_cnt && def(params.cb))
-                        params.cb(params.params);
-                    },
-                    {cb:cb, params:params}
-                    );
+/* function storeReading(o, current, power);
+ * Stores a fresh current and active power reading for the channel "o", time-stamped with the current
+ * scan time. The power is derived from the current at "NOMINAL_VOLTAGE" if not given. For a switched
+ * channel the reading also updates the last known current and power, unless the channel is shedded or
+ * is being shedded */
+function storeReading(o, current, power) {
+  let reading = getReading(o);
+  reading.current = Number(current);
+  reading.power = def(power) ? Math.abs(Number(power)) : reading.current * NOMINAL_VOLTAGE;
+  reading.ts = current_scan_time;
+  if (isMeter(o) || (switch_state[channelKey(o)] == true && getActuation(o).target)) {
+    if (!isMeter(o)) {
+      last_known_current[channelKey(o)] = reading.current;
+      last_known_power[channelKey(o)] = reading.power;
+    }
+    if (reading.current > reading.peak)
+      reading.peak = reading.current;
+    if (reading.power > reading.peak_power)
+      reading.peak_power = reading.power;
   }
 }
 
-/* function deleteKvs()
- * Deletes Key-Value store from script settings */
-function deleteAllKVS(cb, params) {
-  log(LOG_INFO, "Deleting KVS entries used for the ShellyShedding script, when the ShellyShedding" +
-                "script restarts it will populate the KVS store with factory default settings");
-  deleteKV(["hostname_setting", "fuse_rating_setting", "fuse_char_setting", "margin_factor_setting",
-           "cool_down_time_setting", "first_to_last_to_shed", "time_to_test_loading_setting",
-           "scan_interval", "current_restriction_hysteresis_setting", "overload_webhook_uri_setting",
-           "log_level_setting"], cb, params);
+
+/* function awaitsReading(o, reading);
+ * Checks if the switched channel "o" has been ordered on or off without a reading of the new state yet:
+ * the actuation is not yet confirmed, or there is no reading since the actuation. Until then the
+ * readings taken before the actuation no longer tell the channel current */
+function awaitsReading(o, reading) {
+  return !isMeter(o) && reading.actuated != -1 && (getActuation(o).pending || reading.ts <= reading.actuated);
+}
+
+
+/* function readingValue(o, reading);
+ * Provides the current to account for the channel "o": the commanded state while awaiting a reading
+ * after an actuation (see awaitsReading()) - the last known current if ordered on, 0 if ordered off,
+ * otherwise the latest reading if fresh, otherwise the channel's worst case current - its peak current,
+ * or its latest reading if the channel has another "on_unreachable" policy (see unreachablePolicy()).
+ * 0 for a shedded switched channel */
+function readingValue(o, reading) {
+  if (awaitsReading(o, reading))
+    return getActuation(o).target ? last_known_current[channelKey(o)] : 0;
+  if (reading.state == "fresh")
+    return reading.current;
+  if (!isMeter(o) && switch_state[channelKey(o)] != true)
+    return 0;
+  return unreachablePolicy(o) == "worst_case" ? reading.peak : reading.current;
+}
+
+
+/* function readingPower(o, reading);
+ * Provides the active power to account for the channel "o", following the same rules as readingValue() */
+function readingPower(o, reading) {
+  if (awaitsReading(o, reading))
+    return getActuation(o).target ? last_known_power[channelKey(o)] : 0;
+  if (reading.state == "fresh")
+    return reading.power;
+  if (!isMeter(o) && switch_state[channelKey(o)] != true)
+    return 0;
+  return unreachablePolicy(o) == "worst_case" ? reading.peak_power : reading.power;
+}
+
+
+/* function statusCurrent(o, status);
+ * Extracts the current from a Gen2+ component status for the channel "o": "total_current", or
+ * "<phase>_current" if the channel has a phase, for "em" meters, "current" for all others. Some
+ * Gen3/Gen4 devices omit "current" when the output is off or only report "apower", the current
+ * is then derived from the power and the reported voltage */
+function statusCurrent(o, status) {
+  if (!def(status) || status === null)
+    return undefined;
+  if (o.type == "em")
+    return def(o.phase) ? status[o.phase + "_current"] : status.total_current;
+  if (def(status.current))
+    return status.current;
+  if (o.gen >= 3 && status.output === false)
+    return 0;
+  if (o.gen >= 3 && def(status.apower))
+    return status.apower/(def(status.voltage) && status.voltage > 0 ? status.voltage : NOMINAL_VOLTAGE);
+  return undefined;
+}
+
+
+/* function statusPower(o, status);
+ * Extracts the active power from a Gen2+ component status for the channel "o": "total_act_power", or
+ * "<phase>_act_power" if the channel has a phase, for "em" meters, "act_power" for "em1" meters and
+ * "apower" for all others. undefined if the status does not carry the power */
+function statusPower(o, status) {
+  if (!def(status) || status === null)
+    return undefined;
+  if (o.type == "em")
+    return def(o.phase) ? status[o.phase + "_act_power"] : status.total_act_power;
+  if (o.type == "em1")
+    return status.act_power;
+  if (o.gen >= 3 && status.output === false)
+    return 0;
+  return status.apower;
+}
+
+
+/* function remoteStatusUrl(o);
+ * Provides the status URL for the remote channel "o" according to its Shelly generation and type:
+ * Gen1 - the REST "/status" API, Gen2 and later - the "Switch.GetStatus", "EM.GetStatus",
+ * "EM1.GetStatus" or "PM1.GetStatus" RPC */
+function remoteStatusUrl(o) {
+  if (o.gen == 1)
+    return "http://" + o.addr + "/status";
+  return "http://" + o.addr + "/rpc/" + (isMeter(o) ? o.type.toUpperCase() : "Switch") + ".GetStatus?id=" + o.id;
+}
+
+
+/* function parseRemoteCurrent(o, status);
+ * Extracts the current from a remote channel status as requested by remoteStatusUrl(), returns
+ * undefined if the status does not carry the current.
+ * Gen1 - the "emeters" (EM/3EM) or "meters" (1PM/2.5/Plug) element for the channel, the meters only
+ *        carry power from which the current is derived using the device voltage if reported.
+ * Gen2 and later - as provided by statusCurrent() */
+function parseRemoteCurrent(o, status) {
+  if (o.gen == 1) {
+    let voltage = def(status.voltage) && status.voltage > 0 ? status.voltage : NOMINAL_VOLTAGE;
+    if (def(status.emeters) && def(status.emeters[o.id])) {
+      if (def(status.emeters[o.id].current)) return status.emeters[o.id].current;
+      voltage = status.emeters[o.id].voltage > 0 ? status.emeters[o.id].voltage : NOMINAL_VOLTAGE;
+      return Math.abs(status.emeters[o.id].power)/voltage;
+    }
+    if (def(status.meters) && def(status.meters[o.id]))
+      return status.meters[o.id].power/voltage;
+    return undefined;
+  }
+  return statusCurrent(o, status);
+}
+
+
+/* function parseRemotePower(o, status);
+ * Extracts the active power from a remote channel status as requested by remoteStatusUrl(), returns
+ * undefined if the status does not carry the power.
+ * Gen1 - the "emeters" (EM/3EM) or "meters" (1PM/2.5/Plug) element for the channel.
+ * Gen2 and later - as provided by statusPower() */
+function parseRemotePower(o, status) {
+  if (o.gen == 1) {
+    if (def(status.emeters) && def(status.emeters[o.id]))
+      return status.emeters[o.id].power;
+    if (def(status.meters) && def(status.meters[o.id]))
+      return status.meters[o.id].power;
+    return undefined;
+  }
+  return statusPower(o, status);
+}
+
+
+/* function requestRemoteCurrent(idx);
+ * Asynchronously requests the current of the remote channel first_to_last_to_shed[idx], the reading
+ * is stored when the response arrives. Only one request per channel is outstanding at any time. A
+ * response to a request sent before the channel was last actuated is discarded, as it may tell the
+ * current before the actuation. A response that can not be parsed counts as a failed reading */
+function requestRemoteCurrent(idx) {
+  let reading = getReading(first_to_last_to_shed[idx]);
+  if (reading.pending) return;
+  reading.pending = true;
+  queueShellyCall("HTTP.GET", { url: remoteStatusUrl(first_to_last_to_shed[idx]), timeout: measurement_max_age_setting },
+    function(result, error_code, error_message, params) {
+      params.reading.pending = false;
+      if (error_code != 0 || !def(result) || result.code != 200) {
+        log(LOG_VERBOSE, "Failed to read current for channel " + params.o.id + " at " + params.o.addr +
+            ", error: " + error_message);
+        return;
+      }
+      if (params.requested <= params.reading.actuated) {
+        log(LOG_VERBOSE, "Discarding current for channel " + params.o.id + " at " + params.o.addr +
+            " requested before it was actuated");
+        return;
+      }
+      let status;
+      try {
+        status = JSON.parse(result.body);
+      }
+      catch (error) {
+        log(LOG_VERBOSE, "Failed to read current for channel " + params.o.id + " at " + params.o.addr +
+            ", the status can not be parsed: " + error);
+        return;
+      }
+      let current = typeof(status) == "object" && status !== null ? parseRemoteCurrent(params.o, status) : undefined;
+      if (def(current))
+        storeReading(params.o, current, parseRemotePower(params.o, status));
+      else
+        log(LOG_WARN, "Status from Gen" + params.o.gen + " " + params.o.type + " channel " + params.o.id +
+            " at " + params.o.addr + " does not carry any current");
+    },
+    {o: first_to_last_to_shed[idx], reading: reading, requested: current_scan_time});
+}
+
+
+/* function get_current();
+ * Provides the aggregated current through the group fuse(s) to be protected and maintains the current
+ * through each phase fuse in "phase_current". If energy meter channels are configured for a phase (see
+ * isMeter()) the sum of the meter currents is the authoritative current for that phase, and the switched
+ * channels are only used for per-channel attribution. Otherwise the phase current is the sum of the
+ * current through all switched channels loading the phase, a linked three-phase channel loads each phase
+ * with its (per phase) current. If in simulation mode, the switched channel current is the
+ * "simulated_current[]" array element, and a meter reads the sum of all simulated channel currents on
+ * its phase. Local channels are read synchronously while remote channels are read asynchronously, the
+ * latest reading is used as long as it is not older than "measurement_max_age_setting" seconds, a status
+ * without a current is no reading. Channels without a fresh reading are "stale" and contribute with their
+ * worst case current as given by readingValue(). The active power through each phase fuse and in total
+ * is maintained alike in "phase_power" and "total_power", the power of a linked three-phase channel is
+ * split evenly over its phases */
+function get_current() {
+  let total_current = 0;
+  let meter_current = {};
+  let meter_power = {};
+  let channel_current = {a: 0, b: 0, c: 0};
+  let channel_power = {a: 0, b: 0, c: 0};
+  meter_total = -1;
+  total_power = 0;
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    let phases = channelPhases(o);
+    if (!o.measure) {
+      if (!isMeter(o)) current_vector[channelKey(o)] = 0;
+      if (!isMeter(o)) power_vector[channelKey(o)] = 0;
+      continue;
+    }
+    if (simulation) {
+      if (isMeter(o)) {
+        let simulated_total = 0;
+        for (let j = 0; j < first_to_last_to_shed.length; j++)
+          if (!isMeter(first_to_last_to_shed[j]) && switch_state[channelKey(first_to_last_to_shed[j])] == true &&
+              channelPhases(first_to_last_to_shed[j]).indexOf(phases[0]) != -1)
+            simulated_total += Number(simulated_current[channelKey(first_to_last_to_shed[j])]);
+        storeReading(o, simulated_total);
+      }
+      else
+        storeReading(o, switch_state[channelKey(o)] == true ? simulated_current[channelKey(o)] : 0,
+                     switch_state[channelKey(o)] == true ? simulated_current[channelKey(o)] * NOMINAL_VOLTAGE * phases.length : 0);
+    }
+    else if (o.addr == "localhost") {
+      let status = Shelly.getComponentStatus((isMeter(o) ? o.type : "switch") + ":" + o.id);
+      let current = statusCurrent(o, status);
+      if (def(current))
+        storeReading(o, current, statusPower(o, status));
+      else
+        log(LOG_WARN, "Status from local " + o.type + " channel " + o.id + " does not carry any current");
+    }
+    else
+      requestRemoteCurrent(i);
+    let reading = getReading(o);
+    if (reading.ts != -1 && current_scan_time - reading.ts <= measurement_max_age_setting) {
+      if (reading.state == "stale" && !simulation && o.addr != "localhost")
+        log(LOG_INFO, "Current reading for " + o.type + " channel " + o.id + " at " + o.addr + " is fresh");
+      reading.state = "fresh";
+    }
+    else {
+      if (reading.state == "fresh")
+        log(LOG_WARN, "Current reading for " + o.type + " channel " + o.id + " at " + o.addr + " is older than " +
+            measurement_max_age_setting + " seconds, using its peak current " + reading.peak + " A as a worst case");
+      reading.state = "stale";
+    }
+    if (isMeter(o)) {
+      meter_current[phases[0]] = (def(meter_current[phases[0]]) ? meter_current[phases[0]] : 0) +
+                                 readingValue(o, reading);
+      meter_power[phases[0]] = (def(meter_power[phases[0]]) ? meter_power[phases[0]] : 0) + readingPower(o, reading);
+      meter_total = (meter_total == -1 ? 0 : meter_total) + readingValue(o, reading);
+    }
+    else {
+      current_vector[channelKey(o)] = readingValue(o, reading);
+      power_vector[channelKey(o)] = readingPower(o, reading);
+      for (let j = 0; j < phases.length; j++) {
+        channel_current[phases[j]] += current_vector[channelKey(o)];
+        channel_power[phases[j]] += power_vector[channelKey(o)] / phases.length;
+      }
+    }
+  }
+  for (let i = 0; i < PHASES.length; i++) {
+    phase_current[PHASES[i]] = def(meter_current[PHASES[i]]) ? meter_current[PHASES[i]] : channel_current[PHASES[i]];
+    phase_power[PHASES[i]] = def(meter_power[PHASES[i]]) ? meter_power[PHASES[i]] : channel_power[PHASES[i]];
+    total_current += phase_current[PHASES[i]];
+    total_power += phase_power[PHASES[i]];
+  }
+  return total_current;
+}
+
+
+/* function getActuation(o);
+ * Provides the actuation record for the switched channel "o": the commanded output state "target",
+ * whether an actuation is "pending" confirmation, the number of consecutive failed actuations
+ * "failures", the scan time of the next retry "retry_at" (-1: none), whether the channel is "faulted",
+ * the last actuation "error", and a sequence number "seq" discarding responses to superseded actuations */
+function getActuation(o) {
+  let key = channelKey(o);
+  if (!def(channel_actuations[key]))
+    channel_actuations[key] = {target: switch_state[key] != false, pending: false, failures: 0, retry_at: -1,
+                               faulted: false, error: "", seq: 0};
+  return channel_actuations[key];
+}
+
+
+/* function turn()
+ * Turns the switch first_to_last_to_shed[idx] on or off. In simulation mode the switch state is set
+ * at once, otherwise "switch_state" is only updated once actuate() has got the output state confirmed.
+ * The actuation time is recorded with the channel reading, see awaitsReading() */
+function turn(idx, dir) {
+  let o = first_to_last_to_shed[idx];
+  let actuation = getActuation(o);
+  log(LOG_INFO, "Turning switch " + o.id + " to " + dir);
+  getReading(o).actuated = current_scan_time;
+  if (channelKey(o) == test_load_key) test_load_key = "";
+  actuation.target = dir == "on";
+  actuation.failures = 0;
+  actuation.retry_at = -1;
+  if (simulation) {
+    switch_state[channelKey(o)] = actuation.target;
+    return;
+  }
+  actuate(idx);
+}
+
+
+/* function actuate(idx);
+ * Operates the switch first_to_last_to_shed[idx] towards its target state. Shelly channels are confirmed
+ * by reading back the real output state, channels only operated through "on_url"/"off_url" are
+ * confirmed by a successful HTTP response */
+function actuate(idx) {
+  let o = first_to_last_to_shed[idx];
+  let actuation = getActuation(o);
+  let dir = actuation.target ? "on" : "off";
+  actuation.pending = true;
+  actuation.retry_at = -1;
+  actuation.seq++;
+  let params = {idx: idx, o: o, actuation: actuation, seq: actuation.seq};
+  if (def(o.gen)) {
+    let cmd;
+    if (o.gen == 1) cmd = o.type + "/" + o.id.toString() + "?turn=" + dir;
+    else cmd = "rpc/Switch.Set?id=" + o.id.toString() + "&on=" + actuation.target;
+    queueShellyCall("HTTP.GET", { url: "http://" + o.addr + "/" + cmd }, turnCallBack, params);
+  }
+  let url = actuation.target ? o.on_url : o.off_url;
+  if (def(url))
+    queueShellyCall("HTTP.GET", { url: url }, def(o.gen) ? function(result, error_code, error_message, params) {
+      if (error_code != 0 || result.code != 200)
+        log(LOG_WARN, "Failed to call the " + dir + " URL for switch " + params.o.id + ", error: " + error_message);
+    } : turnCallBack, params);
+  if (!def(o.gen) && !def(url))
+    actuationConfirmed(params);
+}
+
+
+/* function turnCallBack()
+ * Callback function from actuate(), reads back the output state of Shelly channels */
+function turnCallBack(result, error_code, error_message, params) {
+  if (params.seq != params.actuation.seq)
+    return;
+  if (error_code != 0 || result.code != 200) {
+    actuationFailed(params, error_code != 0 ? error_message : "HTTP status " + result.code);
+    return;
+  }
+  if (!def(params.o.gen)) {
+    actuationConfirmed(params);
+    return;
+  }
+  let url = "http://" + params.o.addr + "/" + (params.o.gen == 1 ? params.o.type + "/" + params.o.id :
+                                                 "rpc/Switch.GetStatus?id=" + params.o.id);
+  queueShellyCall("HTTP.GET", { url: url },
+    function(result, error_code, error_message, params) {
+      if (params.seq != params.actuation.seq)
+        return;
+      if (error_code != 0 || result.code != 200) {
+        actuationFailed(params, "failed to read back the output state, " +
+                        (error_code != 0 ? error_message : "HTTP status " + result.code));
+        return;
+      }
+      let output;
+      try {
+        let status = JSON.parse(result.body);
+        output = params.o.gen == 1 ? status.ison : status.output;
+      }
+      catch (error) {
+        actuationFailed(params, "failed to parse the output state, " + error);
+        return;
+      }
+      if (output === params.actuation.target)
+        actuationConfirmed(params);
+      else
+        actuationFailed(params, "the output is " + (output ? "on" : "off") + " although ordered " +
+                        (params.actuation.target ? "on" : "off"));
+    },
+    params);
+}
+
+
+/* function actuationConfirmed(params);
+ * Records a confirmed actuation */
+function actuationConfirmed(params) {
+  params.actuation.pending = false;
+  params.actuation.failures = 0;
+  params.actuation.error = "";
+  switch_state[channelKey(params.o)] = params.actuation.target;
+  log(LOG_INFO, "switch " + params.o.id + " operated successfully");
+}
+
+
+/* function actuationFailed(params, error);
+ * Records a failed actuation, the actuation is retried with an exponential backoff starting at
+ * "actuation_retry_backoff_setting" seconds until "actuation_max_failures_setting" consecutive failures,
+ * when the channel is marked faulted. A faulted channel is neither shedded nor loaded until the fault
+ * is cleared with the "clearFault" API */
+function actuationFailed(params, error) {
+  let actuation = params.actuation;
+  actuation.pending = false;
+  actuation.failures++;
+  actuation.error = error;
+  logEvent("actuation_failure", params.o, "failed to turn " + (actuation.target ? "on" : "off") + ", " + error);
+  if (actuation.failures >= actuation_max_failures_setting) {
+    actuation.faulted = true;
+    log(LOG_ERROR, "Switch " + params.o.id + " at " + params.o.addr + " is faulted after " + actuation.failures +
+        " failed attempts to turn it " + (actuation.target ? "on" : "off") + ", last error: " + error);
+    return;
+  }
+  actuation.retry_at = current_scan_time +
+                       actuation_retry_backoff_setting * Math.pow(2, actuation.failures - 1);
+  log(LOG_WARN, "Failed to operate switch " + params.o.id + " at " + params.o.addr + ", error: " + error +
+      ", will retry in " + (actuation.retry_at - current_scan_time) + " seconds");
+}
+
+
+/* function retryActuations();
+ * Retries failed actuations that are due, called every scan */
+function retryActuations() {
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (isMeter(o)) continue;
+    let actuation = getActuation(o);
+    if (!actuation.faulted && !actuation.pending && actuation.retry_at != -1 &&
+        current_scan_time >= actuation.retry_at)
+      actuate(i);
+  }
+}
+
+
+/* function matchesChannel(o, id, addr);
+ * Checks if the switched channel "o" has the id "id" ("all" matches any id) and, if given, is at the
+ * device "addr" */
+function matchesChannel(o, id, addr) {
+  return !isMeter(o) && (id == "all" || o.id == Number(id)) && (!def(addr) || o.addr == addr);
+}
+
+
+/* function clearFault(id, addr);
+ * Clears the fault of the faulted channels with id "id" ("all" for all channels), optionally only at
+ * the device "addr", and re-operates them towards their target state. Returns the number of cleared
+ * channels */
+function clearFault(id, addr) {
+  let cleared = 0;
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (!matchesChannel(o, id, addr))
+      continue;
+    let actuation = getActuation(o);
+    if (!actuation.faulted)
+      continue;
+    actuation.faulted = false;
+    actuation.failures = 0;
+    actuation.error = "";
+    log(LOG_INFO, "Fault cleared for switch " + o.id + " at " + o.addr);
+    turn(i, actuation.target ? "on" : "off");
+    cleared++;
+  }
+  return cleared;
+}
+
+
+/* function getPin(o);
+ * Provides the priority override pin {state, expires} of the channel "o", undefined if not pinned */
+function getPin(o) {
+  return channel_pins[channelKey(o)];
+}
+
+
+/* function pinChannel(id, addr, state, duration);
+ * Pins the channels with id "id" ("all" for all channels), optionally only at the device "addr", forced
+ * "on" or forced "off" for "duration" seconds, and turns them accordingly at once. A channel pinned on is
+ * never shedded unless its phase fuse is truly overloaded and there is no other channel left to shed, a
+ * channel pinned off is never loaded. Returns the number of pinned channels */
+function pinChannel(id, addr, state, duration) {
+  let pinned = 0;
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (!matchesChannel(o, id, addr))
+      continue;
+    channel_pins[channelKey(o)] = {state: state, expires: current_scan_time + duration};
+    log(LOG_INFO, "Channel " + o.id + " at " + o.addr + " is pinned " + state + " for " + duration + " seconds");
+    if (getActuation(o).target != (state == "on"))
+      turn(i, state);
+    pinned++;
+  }
+  return pinned;
+}
+
+
+/* function unpinChannel(idx, reason);
+ * Releases the pin of the channel first_to_last_to_shed[idx]. A channel that was pinned off is left to
+ * the shedder to load, or turned back on if it does not participate in shedding */
+function unpinChannel(idx, reason) {
+  let o = first_to_last_to_shed[idx];
+  let pin = getPin(o);
+  delete channel_pins[channelKey(o)];
+  log(LOG_INFO, "Channel " + o.id + " at " + o.addr + " pinned " + pin.state +
+      " is released, " + reason);
+  if (pin.state == "off" && !o.shed)
+    turn(idx, "on");
+}
+
+
+/* function expirePins();
+ * Releases expired pins, called every scan */
+function expirePins() {
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let pin = getPin(first_to_last_to_shed[i]);
+    if (def(pin) && current_scan_time >= pin.expires)
+      unpinChannel(i, "expired");
+  }
+}
+
+
+/* function channelRef(o);
+ * Provides the reference "<addr>/<id>" of the channel "o" as used by the "setPriorities" API */
+function channelRef(o) {
+  return o.addr + "/" + o.id;
+}
+
+
+/* function channelsByRef(ref);
+ * Provides the switched channels referenced by "ref": the channel id - all switched channels with that
+ * id, or "<addr>/<id>" (see channelRef()) */
+function channelsByRef(ref) {
+  let addr = ref.indexOf("/") != -1 ? ref.split("/")[0] : undefined;
+  let id = ref.indexOf("/") != -1 ? ref.split("/")[1] : ref;
+  let channels = [];
+  for (let i = 0; i < first_to_last_to_shed.length; i++)
+    if (id != "all" && matchesChannel(first_to_last_to_shed[i], id, addr))
+      channels.push(first_to_last_to_shed[i]);
+  return channels;
+}
+
+
+/* function reorderChannels(order);
+ * Provides "first_to_last_to_shed" reordered as given by the array "order" of channel references, least
+ * priority first. A reference is the channel id, or "<addr>/<id>" if the id is not unique. All switched
+ * channels must be given exactly once, energy meter channels may be left out and are then placed after
+ * the switched channels. Returns an error string if the order is not valid */
+function reorderChannels(order) {
+  let reordered = [];
+  let used = [];
+  for (let i = 0; i < order.length; i++) {
+    let ref = order[i].trim().split("\"").join("");
+    let addr = ref.indexOf("/") != -1 ? ref.split("/")[0] : undefined;
+    let id = ref.indexOf("/") != -1 ? ref.split("/")[1] : ref;
+    let match = -1;
+    for (let j = 0; j < first_to_last_to_shed.length; j++) {
+      if (id == "all" || !matchesChannel(first_to_last_to_shed[j], id, addr))
+        continue;
+      if (match != -1)
+        return "channel " + ref + " is ambiguous, use <addr>/<id>";
+      match = j;
+    }
+    if (match == -1)
+      return "channel " + ref + " does not exist";
+    if (used.indexOf(match) != -1)
+      return "channel " + ref + " is given more than once";
+    used.push(match);
+    reordered.push(first_to_last_to_shed[match]);
+  }
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    if (used.indexOf(i) != -1)
+      continue;
+    if (!isMeter(first_to_last_to_shed[i]))
+      return "channel " + channelRef(first_to_last_to_shed[i]) + " is missing";
+    reordered.push(first_to_last_to_shed[i]);
+  }
+  return reordered;
+}
+
+
+/* function syncChannelState();
+ * Initializes the channel key indexed "switch_state", "last_known_current", "last_known_power",
+ * "current_vector", "power_vector" and "simulated_current" for the channels in "first_to_last_to_shed"
+ * that are new, a new channel is assumed to be on without any current. The state of existing channels is
+ * kept, as is the other state kept per channel key (readings, actuations and pins), hence the shedding
+ * scheme can change at run-time */
+function syncChannelState() {
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let key = channelKey(first_to_last_to_shed[i]);
+    if (!def(switch_state[key])) switch_state[key] = true;
+    if (!def(last_known_current[key])) last_known_current[key] = 0;
+    if (!def(last_known_power[key])) last_known_power[key] = 0;
+    if (!def(current_vector[key])) current_vector[key] = 0;
+    if (!def(power_vector[key])) power_vector[key] = 0;
+    if (!def(simulated_current[key])) simulated_current[key] = 0;
+  }
+}
+
+
+/* function validateSetting(key, value);
+ * Validates the KVS "value" of the setting "key" against its "setting_rules": the JSON "type" ("number",
+ * "string", "boolean", "object", "array" or "any"), "integer", the range "min".."max" where "none" is an
+ * additional allowed value meaning none, the allowed "values", and a "validate" function providing "" or
+ * the reason. Provides "" if the value is valid or the key has no rules, otherwise the reason */
+function validateSetting(key, value) {
+  let rules = setting_rules[key];
+  if (!def(rules))
+    return "";
+  let type = Array.isArray(value) ? "array" : value === null ? "null" : typeof(value);
+  if (rules.type != "any" && type != rules.type)
+    return "is a " + type + ", expected a " + rules.type;
+  if (def(rules.values) && rules.values.indexOf(value) == -1)
+    return "is not one of " + JSON.stringify(rules.values);
+  if (rules.type == "number" && !(def(rules.none) && value == rules.none)) {
+    if (!isFinite(value))
+      return "is not a finite number";
+    if (rules.integer && Math.floor(value) != value)
+      return "is not an integer";
+    if ((def(rules.min) && value < rules.min) || (def(rules.max) && value > rules.max))
+      return "is out of range " + (def(rules.min) ? rules.min : "") + ".." + (def(rules.max) ? rules.max : "") +
+             (def(rules.none) ? " (or " + rules.none + ": none)" : "");
+  }
+  return def(rules.validate) ? rules.validate(value) : "";
+}
+
+
+/* function rejectSetting(key, value, reason);
+ * Records the rejected KVS "value" of the setting "key" in "config_errors", see "getConfigErrors". The last
+ * good value is kept, the rejection is logged once per value */
+function rejectSetting(key, value, reason) {
+  if (def(config_errors[key]) && JSON.stringify(config_errors[key].value) == JSON.stringify(value))
+    return;
+  config_errors[key] = {value: value, reason: reason};
+  log(LOG_ERROR, "Setting " + key + ": " + JSON.stringify(value) + " rejected, " + reason + ", keeping the last good value");
+}
+
+
+/* function validatePhaseRatings(ratings);
+ * Validates "phase_fuse_rating_setting", provides "" or the reason */
+function validatePhaseRatings(ratings) {
+  for (let phase in ratings) {
+    if (PHASES.indexOf(phase) == -1) return "phase " + phase + " is not one of " + JSON.stringify(PHASES);
+    if (typeof(ratings[phase]) != "number" || !(ratings[phase] >= 1)) return "phase " + phase + " has an invalid rating";
+  }
+  return "";
+}
+
+
+/* function validateCustomTripCurve(curve);
+ * Validates "fuse_custom_trip_curve_setting", [] means no custom curve, see validateTripCurve() */
+function validateCustomTripCurve(curve) {
+  return curve.length ? validateTripCurve(curve) : "";
+}
+
+
+/* function validateChannels(channels);
+ * Validates the shedding group channel definitions "first_to_last_to_shed", provides "" or the reason */
+function validateChannels(channels) {
+  if (!channels.length) return "there are no channels";
+  let keys = [];
+  for (let i = 0; i < channels.length; i++) {
+    let o = channels[i];
+    if (typeof(o) != "object" || o === null || Array.isArray(o)) return "channel " + i + " is not an object";
+    if (typeof(o.addr) != "string" || o.addr == "") return "channel " + i + " has an invalid addr";
+    if (typeof(o.type) != "string" || o.type == "") return "channel " + i + " has an invalid type";
+    if (typeof(o.id) != "number" || o.id < 0 || Math.floor(o.id) != o.id) return "channel " + i + " has an invalid id";
+    if (def(o.gen) && [1, 2, 3, 4].indexOf(o.gen) == -1) return "channel " + i + " has an unknown gen";
+    if ((def(o.shed) && typeof(o.shed) != "boolean") || (def(o.measure) && typeof(o.measure) != "boolean"))
+      return "channel " + i + " has a non boolean shed/measure";
+    if (def(o.phase) && o.phase != "abc" && PHASES.indexOf(o.phase) == -1) return "channel " + i + " has an unknown phase";
+    if (def(o.on_unreachable) && ["worst_case", "shed_local", "reduce_budget"].indexOf(o.on_unreachable) == -1)
+      return "channel " + i + " has an unknown on_unreachable policy";
+    if (def(o.unreachable_budget) && (typeof(o.unreachable_budget) != "number" || o.unreachable_budget < 0))
+      return "channel " + i + " has an invalid unreachable_budget";
+    if ((def(o.on_url) && typeof(o.on_url) != "string") || (def(o.off_url) && typeof(o.off_url) != "string"))
+      return "channel " + i + " has an invalid on_url/off_url";
+    if (keys.indexOf(channelKey(o)) != -1) return "channel " + channelKey(o) + " is defined twice";
+    keys.push(channelKey(o));
+  }
+  return "";
+}
+
+
+/* function validateMonthlyPeaks(peaks);
+ * Validates the monthly peak table read from the KVS "monthly_peaks", provides "" or the reason */
+function validateMonthlyPeaks(peaks) {
+  if (typeof(peaks.month) != "string" || !Array.isArray(peaks.peaks)) return "not a {month, peaks} table";
+  for (let i = 0; i < peaks.peaks.length; i++)
+    if (typeof(peaks.peaks[i]) != "object" || peaks.peaks[i] === null || typeof(peaks.peaks[i].average) != "number")
+      return "peak " + i + " has no average";
+  return "";
+}
+
+
+/* function validatePriceForecast(forecast);
+ * Validates the price forecast read from the KVS "price_forecast", provides "" or the reason */
+function validatePriceForecast(forecast) {
+  if (typeof(forecast.start) != "number" || typeof(forecast.interval) != "number" || forecast.interval <= 0 ||
+      !Array.isArray(forecast.prices))
+    return "not a {start, interval, prices} forecast";
+  for (let i = 0; i < forecast.prices.length; i++)
+    if (typeof(forecast.prices[i]) != "number") return "price " + i + " is not a number";
+  return "";
+}
+
+
+/* function validateStatistics(stored);
+ * Validates the channel statistics read from the KVS "channel_statistics", provides "" or the reason */
+function validateStatistics(stored) {
+  if (typeof(stored.channels) != "object" || stored.channels === null) return "not a {since, channels} record";
+  for (let key in stored.channels) {
+    let stats = stored.channels[key];
+    if (typeof(stats) != "object" || stats === null || typeof(stats.shed) != "number" ||
+        typeof(stats.shed_time) != "number" || typeof(stats.test_loads) != "number")
+      return "channel " + key + " has invalid statistics";
+  }
+  return "";
+}
+
+
+/* function validateUri(uri);
+ * Validates a HTTP(S) URI setting, "" means none */
+function validateUri(uri) {
+  return uri == "" || uri.indexOf("http://") == 0 || uri.indexOf("https://") == 0 ? "" : "is not a http(s) URI";
+}
+
+
+/* function validateTopic(topic);
+ * Validates a MQTT topic setting, "" means none */
+function validateTopic(topic) {
+  return topic.indexOf("+") == -1 && topic.indexOf("#") == -1 ? "" : "contains MQTT wildcards";
+}
+
+
+/* function validateConfig(settings);
+ * Validates the "setConfig" document "settings" as a whole, provides the errors as [{key, reason}]: each
+ * setting must be a known setting (not a state such as "monthly_peaks") with a valid value, and the fuse
+ * standard and characteristics to be in effect must have a built-in trip curve unless a custom curve is given */
+function validateConfig(settings) {
+  let errors = [];
+  if (typeof(settings) != "object" || settings === null || Array.isArray(settings))
+    return [{key: "", reason: "the configuration is not an object of settings"}];
+  if (!Object.keys(settings).length)
+    return [{key: "", reason: "the configuration has no settings"}];
+  for (let key in settings) {
+    let error = !def(setting_rules[key]) || setting_rules[key].state ? "is not a setting" :
+                validateSetting(key, settings[key]);
+    if (error != "") errors.push({key: key, reason: error});
+  }
+  if (errors.length) return errors;
+  let error = validateFuseCombination(settings);
+  if (error != "")
+    errors.push({key: "fuse_char_setting", reason: error});
+  return errors;
+}
+
+
+/* function validateFuseCombination(settings);
+ * Validates that the fuse standard and characteristics to be in effect with the "settings" applied - the
+ * current ones where not given - have a built-in trip curve unless a custom curve is given, provides ""
+ * or the reason */
+function validateFuseCombination(settings) {
+  let standard = def(settings.fuse_standard_setting) ? settings.fuse_standard_setting : fuse_standard_setting;
+  let fuse_char = def(settings.fuse_char_setting) ? settings.fuse_char_setting : fuse_char_setting;
+  let custom = def(settings.fuse_custom_trip_curve_setting) ? settings.fuse_custom_trip_curve_setting :
+                                                               fuse_custom_trip_curve_setting;
+  if (custom.length > 0) return "";
+  for (let i = 0; i < fuse_trip_curve_table.length; i++)
+    if (fuse_trip_curve_table[i].standard == standard && fuse_trip_curve_table[i].fuse_chars.indexOf(fuse_char) != -1)
+      return "";
+  return "there is no built-in trip curve for " + fuse_char + " according to " + standard;
+}
+
+
+/* function validatePendingConfig(settings);
+ * Validates the staged "setConfig" settings read from the KVS "config_pending", provides "" or the reason */
+function validatePendingConfig(settings) {
+  let errors = validateConfig(settings);
+  return errors.length ? "holds invalid settings " + JSON.stringify(errors) : "";
+}
+
+
+/* function startConfig(settings, res);
+ * Starts a "setConfig" transaction of the validated "settings", the response "res" is sent when the
+ * transaction completes. The previous KVS values are read, the settings are staged as one record in the
+ * KVS "config_pending", then persisted one by one, the staged record is deleted and the settings are
+ * applied together at the next scan (see commitConfig()). If persisting fails the settings already
+ * persisted are rolled back (see rollbackConfig()). If the script is stopped while persisting, the staged
+ * record completes the transaction when the KVS is next read (see recoverConfig()). KVS reads during the
+ * transaction are discarded */
+function startConfig(settings, res) {
+  config_transaction = {settings: settings, keys: Object.keys(settings), old: {}, step: 0, state: "reading", res: res};
+  config_generation++;
+  log(LOG_INFO, "Configuration transaction started: " + JSON.stringify(settings));
+  configStep();
+}
+
+
+/* function configStep();
+ * Runs the next step of the "setConfig" transaction: reading the previous KVS value, staging the settings,
+ * persisting the next setting or deleting the staged settings */
+function configStep() {
+  let t = config_transaction;
+  if (t.step == t.keys.length) {
+    if (t.state == "reading") {
+      t.state = "staging";
+      queueShellyCall("KVS.Set", {key: "config_pending", value: t.settings},
+        function(result, error_code, error_message) {
+          if (error_code != 0) {
+            rollbackConfig("config_pending", error_message);
+            return;
+          }
+          config_transaction.state = "writing";
+          config_transaction.step = 0;
+          configStep();
+        });
+    }
+    else {
+      t.state = "unstaging";
+      queueShellyCall("KVS.Delete", {key: "config_pending"},
+        function(result, error_code, error_message) {
+          if (error_code != 0)
+            log(LOG_WARN, "Failed to delete the staged configuration, error: " + error_message +
+                ", it is persisted again when the KVS is next read");
+          config_transaction.state = "committing";
+        });
+    }
+    return;
+  }
+  let key = t.keys[t.step];
+  if (t.state == "reading")
+    queueShellyCall("KVS.Get", {key: key},
+      function(result, error_code, error_message) {
+        if (error_code == 0 && def(result) && result !== null)
+          config_transaction.old[config_transaction.keys[config_transaction.step]] = result.value;
+        config_transaction.step++;
+        configStep();
+      });
+  else
+    queueShellyCall("KVS.Set", {key: key, value: t.settings[key]},
+      function(result, error_code, error_message) {
+        if (error_code != 0) {
+          rollbackConfig(config_transaction.keys[config_transaction.step], error_message);
+          return;
+        }
+        config_transaction.step++;
+        configStep();
+      });
+}
+
+
+/* function rollbackConfig(key, error);
+ * Rolls back the "setConfig" transaction after persisting "key" failed: the settings already persisted
+ * are restored to their previous KVS values (deleted if they did not exist) and the staged settings are
+ * deleted, the settings in effect are not changed */
+function rollbackConfig(key, error) {
+  let t = config_transaction;
+  log(LOG_ERROR, "Configuration transaction failed to persist " + key + ", error: " + error + ", rolling back");
+  let rolled_back = function(result, error_code, error_message, key) {
+    if (error_code != 0)
+      log(LOG_ERROR, "Failed to roll back " + key + ", error: " + error_message);
+  };
+  for (let i = 0; t.state == "writing" && i < t.step; i++) {
+    if (def(t.old[t.keys[i]]))
+      queueShellyCall("KVS.Set", {key: t.keys[i], value: t.old[t.keys[i]]}, rolled_back, t.keys[i]);
+    else
+      queueShellyCall("KVS.Delete", {key: t.keys[i]}, rolled_back, t.keys[i]);
+  }
+  if (t.state == "writing")
+    queueShellyCall("KVS.Delete", {key: "config_pending"}, rolled_back, "config_pending");
+  t.res.code = 500;
+  t.res.body = JSON.stringify({setConfig: {applied: false, errors: [{key: key, reason: "failed to persist, " + error +
+                                                                               ", rolled back"}]}});
+  endConfig();
+}
+
+
+/* function recoverConfig(settings);
+ * Completes a "setConfig" transaction found staged in the KVS "config_pending", i.e. interrupted while
+ * persisting its settings: the staged settings are persisted again and the staged record is deleted */
+function recoverConfig(settings) {
+  log(LOG_WARN, "Completing an interrupted configuration transaction: " + JSON.stringify(settings));
+  let recovered = function(result, error_code, error_message, key) {
+    if (error_code != 0)
+      log(LOG_ERROR, "Failed to persist " + key + " of the interrupted configuration transaction, error: " + error_message);
+  };
+  for (let key in settings)
+    queueShellyCall("KVS.Set", {key: key, value: settings[key]}, recovered, key);
+  queueShellyCall("KVS.Delete", {key: "config_pending"}, recovered, "config_pending");
+}
+
+
+/* function commitConfig();
+ * Applies the persisted "setConfig" settings together at a scan boundary, called every scan */
+function commitConfig() {
+  if (config_transaction === null || config_transaction.state != "committing")
+    return;
+  let t = config_transaction;
+  t.state = "applying";
+  for (let i = 0; i < t.keys.length; i++) {
+    delete config_errors[t.keys[i]];
+    applySetting(t.keys[i], t.settings[t.keys[i]]);
+  }
+  t.state = "committing";
+  if (def(t.settings.fuse_char_setting) || def(t.settings.fuse_standard_setting) ||
+      def(t.settings.fuse_custom_trip_curve_setting))
+    selectTripCurve();
+  log(LOG_INFO, "Configuration transaction applied: " + JSON.stringify(t.settings));
+  t.res.code = 200;
+  t.res.body = JSON.stringify({setConfig: {applied: true, settings: t.settings}});
+  endConfig();
+}
+
+
+/* function endConfig();
+ * Ends the "setConfig" transaction and sends its response, the KVS is re-read to catch changes made
+ * during the transaction */
+function endConfig() {
+  let res = config_transaction.res;
+  config_transaction = null;
+  config_generation++;
+  last_kvs_rev = -1;
+  res.send();
+}
+
+
+/* function applySetting(key, value);
+ * Applies the validated "value" of the setting "key", see validateSetting() */
+function applySetting(key, value) {
+  switch (key){
+
+    case "hostname_setting":
+      if (hostname_setting != value) {
+        hostname_setting = value;
+        log(LOG_INFO, "Hostname is set to: " + value);
+      }
+      break;
+
+    case "fuse_rating_setting":
+      if (fuse_rating_setting != value) {
+        fuse_rating_setting = value;
+        log(LOG_INFO, "Fuse rating changed to: " + value);
+      }
+      break;
+
+    case "phase_fuse_rating_setting":
+      if (JSON.stringify(phase_fuse_rating_setting) != JSON.stringify(value)) {
+        phase_fuse_rating_setting = value;
+        log(LOG_INFO, "Phase fuse ratings changed to: " + JSON.stringify(value));
+      }
+      break;
+
+    case "fuse_char_setting":
+      if (fuse_char_setting != value) {
+        fuse_char_setting = value;
+        log(LOG_INFO, "Fuse characteristics changed to: " + value);
+        selectTripCurve();
+      }
+      break;
+
+    case "fuse_standard_setting":
+      if (fuse_standard_setting != value) {
+        fuse_standard_setting = value;
+        log(LOG_INFO, "Fuse standard changed to: " + value);
+        selectTripCurve();
+      }
+      break;
+
+    case "fuse_custom_trip_curve_setting":
+      if (JSON.stringify(fuse_custom_trip_curve_setting) != JSON.stringify(value)) {
+        fuse_custom_trip_curve_setting = value;
+        log(LOG_INFO, "Custom fuse trip curve changed to: " + JSON.stringify(value));
+        selectTripCurve();
+      }
+      break;
+
+    case "margin_factor_setting":
+      if (margin_factor_setting != value) {
+        margin_factor_setting = value;
+        log(LOG_INFO, "Fuse trip margin factor changed to: " + value);
+      }
+      break;
+
+    case "fuse_cooling_time_constant_setting":
+      if (fuse_cooling_time_constant_setting != value) {
+        fuse_cooling_time_constant_setting = value;
+        log(LOG_INFO, "Fuse cooling time constant changed to: " +
+            value);
+      }
+      break;
+
+    case "first_to_last_to_shed":
+      if (first_to_last_to_shed_kvs != JSON.stringify(value)) {
+        first_to_last_to_shed_kvs = JSON.stringify(value);
+        first_to_last_to_shed = value;
+        for (let i = 0; i < first_to_last_to_shed.length; i++) {
+          if (isMeter(first_to_last_to_shed[i]) && first_to_last_to_shed[i].shed) {
+            log(LOG_WARN, "Energy meter channel " + first_to_last_to_shed[i].type + ":" +
+                first_to_last_to_shed[i].id + " can not be shedded, ignoring shed: true");
+            first_to_last_to_shed[i].shed = false;
+          }
+          if (isMeter(first_to_last_to_shed[i]) && first_to_last_to_shed[i].phase == "abc") {
+            log(LOG_WARN, "Energy meter channel " + first_to_last_to_shed[i].type + ":" +
+                first_to_last_to_shed[i].id + " can not be linked to all phases, use one channel per phase");
+            delete first_to_last_to_shed[i].phase;
+          }
+        }
+        syncChannelState();
+        log(LOG_INFO, "Shedding scheme has changed to: " + first_to_last_to_shed_kvs);
+      }
+      break;
+
+  case "time_to_test_loading_setting":
+      if (time_to_test_loading_setting != value) {
+        time_to_test_loading_setting = value;
+        log(LOG_INFO, "Time to test increased loading despite no margins changed to: " +
+            value);
+      }
+      break;
+
+    case "scan_interval":
+       if (scan_interval != value) {
+         scan_interval = value;
+         if (def(scan_timer)) {
+           Timer.clear(scan_timer);
+           scan_timer = Timer.set(scan_interval * 1000, true, scanPower);
+         }
+         log(LOG_INFO, "Scan interval changed to: " + value);
+       }
+       break;
+
+    case "measurement_max_age_setting":
+       if (measurement_max_age_setting != value) {
+         measurement_max_age_setting = value;
+         log(LOG_INFO, "Maximum measurement age changed to: " + value);
+       }
+       break;
+
+    case "actuation_max_failures_setting":
+       if (actuation_max_failures_setting != value) {
+         actuation_max_failures_setting = value;
+         log(LOG_INFO, "Maximum actuation failures changed to: " + value);
+       }
+       break;
+
+    case "actuation_retry_backoff_setting":
+       if (actuation_retry_backoff_setting != value) {
+         actuation_retry_backoff_setting = value;
+         log(LOG_INFO, "Actuation retry backoff changed to: " + value);
+       }
+       break;
+
+    case "restriction_schedule_setting":
+      if (JSON.stringify(restriction_schedule_setting) != JSON.stringify(value)) {
+        restriction_schedule_setting = value;
+        log(LOG_INFO, "Restriction schedule changed to: " + JSON.stringify(value));
+      }
+      break;
+
+    case "price_restriction_rules_setting":
+      if (JSON.stringify(price_restriction_rules_setting) != JSON.stringify(value)) {
+        price_restriction_rules_setting = value;
+        log(LOG_INFO, "Price restriction rules changed to: " + JSON.stringify(value));
+      }
+      break;
+
+    case "power_budget_setting":
+      if (power_budget_setting != value) {
+        power_budget_setting = value;
+        log(LOG_INFO, "Power budget changed to: " + value + " W");
+      }
+      break;
+
+    case "hourly_power_cap_setting":
+      if (hourly_power_cap_setting != value) {
+        hourly_power_cap_setting = value;
+        log(LOG_INFO, "Hourly average power cap changed to: " + value + " W");
+      }
+      break;
+
+    case "monthly_peaks_count_setting":
+      if (monthly_peaks_count_setting != value) {
+        monthly_peaks_count_setting = value;
+        log(LOG_INFO, "Number of billed monthly peaks changed to: " + value);
+      }
+      break;
+
+    case "monthly_peaks":
+      if (monthly_peaks_kvs != JSON.stringify(value)) {
+        monthly_peaks_kvs = JSON.stringify(value);
+        monthly_peaks = value;
+        log(LOG_INFO, "Monthly peaks restored: " + monthly_peaks_kvs);
+      }
+      break;
+
+    case "price_forecast":
+      if (price_forecast_kvs != JSON.stringify(value)) {
+        price_forecast_kvs = JSON.stringify(value);
+        price_forecast = JSON.parse(price_forecast_kvs);
+        log(LOG_INFO, "Price forecast restored: " + price_forecast_kvs);
+      }
+      break;
+
+    case "channel_statistics":
+      if (statistics_kvs != JSON.stringify(value)) {
+        restoreStatistics(value);
+        log(LOG_INFO, "Channel statistics restored: " + statistics_kvs);
+      }
+      break;
+
+    case "statistics_persist_interval_setting":
+      if (statistics_persist_interval_setting != value) {
+        statistics_persist_interval_setting = value;
+        log(LOG_INFO, "Statistics persist interval set to: " + value + " seconds");
+      }
+      break;
+
+    case "current_restriction_hysteresis_setting":
+      if (current_restriction_hysteresis_setting != value) {
+        current_restriction_hysteresis_setting = value;
+        log(LOG_INFO, "Current restriction hysteresis changed to : " + value);
+      }
+      break;
+
+    case "status_webhook_uri_setting":
+      if (status_webhook_uri_setting != value) {
+        status_webhook_uri_setting = value;
+        log(LOG_INFO, "Status Webhook URI set to  " + value);
+      }
+      break;            
+
+    case "mqtt_topic_setting":
+      if (mqtt_topic_setting != value) {
+        mqtt_topic_setting = value;
+        log(LOG_INFO, "MQTT base topic set to: " + value);
+      }
+      break;
+
+    case "mqtt_publish_interval_setting":
+      if (mqtt_publish_interval_setting != value) {
+        mqtt_publish_interval_setting = value;
+        log(LOG_INFO, "MQTT publish interval changed to: " + value);
+      }
+      break;
+
+    case "mqtt_discovery_prefix_setting":
+      if (mqtt_discovery_prefix_setting != value) {
+        mqtt_discovery_prefix_setting = value;
+        log(LOG_INFO, "Home Assistant discovery prefix set to: " + value);
+      }
+      break;
+
+    case "log_level_setting":
+      let log_level = typeof(value) == "string" ?
+                      ["LOG_VERBOSE", "LOG_INFO", "LOG_WARN", "LOG_ERROR", "LOG_CRITICAL"].indexOf(value) :
+                      value;
+      if (log_level_setting != log_level) {
+        log_level_setting = log_level;
+        log(LOG_INFO, "Log level changed to: " + value);
+      }
+      break;
+
+    case "factory_reset_to_default":
+      log(LOG_INFO, "Reboot to factory default");
+      queueShellyCall("KVS.List", {}, 
+                      function (result, error_code, error_message) {
+		                      for (key in result.keys) {
+		                        queueShellyCall("KVS.DELETE", {key:key},
+		                          function(result, error_code, error_message) {
+                              return;
+                            }
+                          );
+		                      }
+                        return;
+                      }
+      );
+      Timer.set(5000, false, reboot);
+      break;
+
+    default:
+      break;
+  }
+}
+
+
+/* function updateSettingsFromKVS();
+ * This functions sets the script variables from the Shelly Key-Value store which can be user set. */
+function updateSettingsFromKVS(){
+  //print("GOT KVS UPDATE");
+  let generation = config_generation;
+  queueShellyCall("KVS.GetMany", {},
+    function (result, error_code, error_message) {
+      if (generation != config_generation || config_transaction !== null) {
+        log(LOG_VERBOSE, "KVS read overtaken by a configuration transaction, discarded");
+        return;
+      }
+      let read = {};
+      let valid = {};
+      for (let KVS in result.items) {
+        read[result.items[KVS].key] = true;
+        let setting_error = validateSetting(result.items[KVS].key, result.items[KVS].value);
+        if (setting_error != "") {
+          rejectSetting(result.items[KVS].key, result.items[KVS].value, setting_error);
+          continue;
+        }
+        valid[result.items[KVS].key] = result.items[KVS].value;
+      }
+      if (def(valid.config_pending)) {                                                // An interrupted transaction takes
+        recoverConfig(valid.config_pending);                                          // precedence over the partly
+        for (let key in valid.config_pending)                                         // persisted settings
+          valid[key] = valid.config_pending[key];
+        delete valid.config_pending;
+      }
+      let combination_error = validateFuseCombination(valid);
+      if (combination_error != "") {                                                  // The fuse settings only make sense
+        let fuse = {fuse_standard_setting: fuse_standard_setting, fuse_char_setting: fuse_char_setting,  // together, the changed
+                    fuse_custom_trip_curve_setting: fuse_custom_trip_curve_setting};     // ones are rejected and
+        for (let key in fuse) {                                                       // the current ones kept
+          if (!def(valid[key])) continue;
+          if (JSON.stringify(valid[key]) != JSON.stringify(fuse[key]))
+            rejectSetting(key, valid[key], combination_error);
+          else
+            delete config_errors[key];
+          delete valid[key];
+        }
+      }
+      for (let key in valid) {
+        if (def(config_errors[key])) {
+          log(LOG_INFO, "Setting " + key + " is valid again");
+          delete config_errors[key];
+        }
+        applySetting(key, valid[key]);
+      }
+      for (let key in config_errors)
+        if (!read[key]) delete config_errors[key];
+      return; 
+    }
+  );
+}
+
+
+//FIX - refactoring update and delete KVS handling to be more uniform
+/* function createKV(k, v, over_write);
+ * Creates Key-value store entries from the script defined setting defaults, if "over_write" is 
+ * set to true it will over-write an already existing key-value, otherwise not */
+function createKV(k, v, over_write) {
+  queueShellyCall("KVS.Get", {key:k}, 
+    function (result, error_code, error_message) {
+       if(!def(result) || over_write) {
+         queueShellyCall("KVS.Set", {key:k, value:v}, 
+           function(result, error_code, error_message){
+             return;  
+           }
+         );
+       }
+    }
+  );
+}
+
+
+/* function migrateCoolDownTime();
+ * Migrates the retired "cool_down_time_setting" - the time to hold off loading after the current has
+ *  dropped below the fuse rating - to "fuse_cooling_time_constant_setting". The old hold-off is converted
+ *  to the time constant that cools a tripping fuse to "FUSE_COOLED_HEAT" in the same time at no load, but
+ *  never below the default. An already existing "fuse_cooling_time_constant_setting" is kept, the old key
+ *  is deleted once migrated. Creates "fuse_cooling_time_constant_setting" if neither exists */
+function migrateCoolDownTime() {
+  queueShellyCall("KVS.Get", {key:"cool_down_time_setting"},
+    function (result, error_code, error_message) {
+      if (!def(result)) {
+        createKV("fuse_cooling_time_constant_setting", fuse_cooling_time_constant_setting, false);
+        return;
+      }
+      let cool_down_time = result.value;
+      queueShellyCall("KVS.Get", {key:"fuse_cooling_time_constant_setting"},
+        function (result, error_code, error_message, cool_down_time) {
+          if (def(result)) {
+            log(LOG_INFO, "Retired cool_down_time_setting deleted, fuse_cooling_time_constant_setting already set");
+          }
+          else {
+            let time_constant = fuse_cooling_time_constant_setting;
+            if (typeof(cool_down_time) == "number" && isFinite(cool_down_time))
+              time_constant = Math.max(time_constant, Math.ceil(cool_down_time/Math.log(1/FUSE_COOLED_HEAT)));
+            log(LOG_INFO, "Migrating cool_down_time_setting " + JSON.stringify(cool_down_time) +
+                          " s to fuse_cooling_time_constant_setting " + time_constant + " s");
+            queueShellyCall("KVS.Set", {key:"fuse_cooling_time_constant_setting", value:time_constant},
+              function(result, error_code, error_message){
+                return;
+              }
+            );
+          }
+          queueShellyCall("KVS.Delete", {key:"cool_down_time_setting"},
+            function(result, error_code, error_message){
+              return;
+            }
+          );
+        },
+        cool_down_time
+      );
+    }
+  );
+}
+
+
+/* function migrateWebhookUri();
+ * Migrates the retired "overload_webhook_uri_setting" to "status_webhook_uri_setting". The old URI is
+ *  copied unless "status_webhook_uri_setting" is already set to a non-empty URI, the old key is deleted
+ *  once migrated. Creates "status_webhook_uri_setting" if neither exists */
+function migrateWebhookUri() {
+  queueShellyCall("KVS.Get", {key:"overload_webhook_uri_setting"},
+    function (result, error_code, error_message) {
+      if (!def(result)) {
+        createKV("status_webhook_uri_setting", status_webhook_uri_setting, false);
+        return;
+      }
+      let uri = result.value;
+      queueShellyCall("KVS.Get", {key:"status_webhook_uri_setting"},
+        function (result, error_code, error_message, uri) {
+          if (def(result) && result.value !== "") {
+            log(LOG_INFO, "Retired overload_webhook_uri_setting deleted, status_webhook_uri_setting already set");
+          }
+          else {
+            log(LOG_INFO, "Migrating overload_webhook_uri_setting " + JSON.stringify(uri) + " to status_webhook_uri_setting");
+            queueShellyCall("KVS.Set", {key:"status_webhook_uri_setting", value:uri},
+              function(result, error_code, error_message){
+                return;
+              }
+            );
+          }
+          queueShellyCall("KVS.Delete", {key:"overload_webhook_uri_setting"},
+            function(result, error_code, error_message){
+              return;
+            }
+          );
+        },
+        uri
+      );
+    }
+  );
+}
+
+
+/* function deleteKV(k);
+ * Deletes Key-value store entries */
+function deleteKV(keys, cb, params) {
+  if (delete_KVS_cnt) return -1;
+  for(let i=0; i<keys.length; i++){
+    delete_KVS_cnt++;
+    queueShellyCall("KVS.Delete", {key:keys[i]},
+                    function(result, error_code, error_message, params) {
+                      delete_KVS_cnt--;
+                      if(!delete_KVS_cnt && def(params.cb))
+                        params.cb(params.params);
+                    },
+                    {cb:cb, params:params}
+                    );
+  }
+}
+
+/* function deleteKvs()
+ * Deletes Key-Value store from script settings */
+function deleteAllKVS(cb, params) {
+  log(LOG_INFO, "Deleting KVS entries used for the ShellyShedding script, when the ShellyShedding" +
+                "script restarts it will populate the KVS store with factory default settings");
+  deleteKV(["hostname_setting", "fuse_rating_setting", "phase_fuse_rating_setting", "fuse_char_setting",
+           "fuse_standard_setting", "fuse_custom_trip_curve_setting", "margin_factor_setting",
+           "fuse_cooling_time_constant_setting", "cool_down_time_setting", "first_to_last_to_shed", "time_to_test_loading_setting",
+           "scan_interval", "measurement_max_age_setting", "actuation_max_failures_setting",
+           "actuation_retry_backoff_setting", "current_restriction_hysteresis_setting", "power_budget_setting",
+           "hourly_power_cap_setting", "monthly_peaks_count_setting", "monthly_peaks", "restriction_schedule_setting",
+           "price_restriction_rules_setting", "price_forecast", "status_webhook_uri_setting", "overload_webhook_uri_setting",
+           "mqtt_topic_setting", "mqtt_publish_interval_setting", "mqtt_discovery_prefix_setting", "statistics_persist_interval_setting",
+           "channel_statistics", "config_pending", "log_level_setting"], cb, params);
 }
 
 /* function updateKvs()
@@ -779,32 +2727,918 @@ function updateKvs() {
       "if exist - updating script settings to default");
   createKV("hostname_setting", hostname_setting, false);
   createKV("fuse_rating_setting", fuse_rating_setting, false);
+  createKV("phase_fuse_rating_setting", phase_fuse_rating_setting, false);
   createKV("fuse_char_setting", fuse_char_setting, false);
+  createKV("fuse_standard_setting", fuse_standard_setting, false);
+  createKV("fuse_custom_trip_curve_setting", fuse_custom_trip_curve_setting, false);
   createKV("margin_factor_setting", margin_factor_setting, false);
-  createKV("cool_down_time_setting", cool_down_time_setting, false);
+  migrateCoolDownTime();
   createKV("first_to_last_to_shed", first_to_last_to_shed, false);
   createKV("time_to_test_loading_setting", time_to_test_loading_setting, false);
   createKV("scan_interval", scan_interval, false);
+  createKV("measurement_max_age_setting", measurement_max_age_setting, false);
+  createKV("actuation_max_failures_setting", actuation_max_failures_setting, false);
+  createKV("actuation_retry_backoff_setting", actuation_retry_backoff_setting, false);
   //createKV("simulation", simulation, false);
   //createKV("simulated_current", simulated_current, false);
   //createKV("current_restriction_setting", current_restriction_setting, false);
   createKV("current_restriction_hysteresis_setting", current_restriction_hysteresis_setting, false);
-  createKV("overload_webhook_uri_setting", overload_webhook_uri_setting, false);
+  createKV("power_budget_setting", power_budget_setting, false);
+  createKV("hourly_power_cap_setting", hourly_power_cap_setting, false);
+  createKV("monthly_peaks_count_setting", monthly_peaks_count_setting, false);
+  createKV("restriction_schedule_setting", restriction_schedule_setting, false);
+  createKV("price_restriction_rules_setting", price_restriction_rules_setting, false);
+  migrateWebhookUri();
+  createKV("mqtt_topic_setting", mqtt_topic_setting, false);
+  createKV("mqtt_publish_interval_setting", mqtt_publish_interval_setting, false);
+  createKV("mqtt_discovery_prefix_setting", mqtt_discovery_prefix_setting, false);
+  createKV("statistics_persist_interval_setting", statistics_persist_interval_setting, false);
   createKV("log_level_setting", log_level_setting, false);
 }
 
-function nextIdxToLoad(){
-  let idx_next_to_toggle_off_tmp = idx_next_to_toggle_off;
-  while (idx_next_to_toggle_off_tmp > 0) {
-    idx_next_to_toggle_off_tmp--;
-    if (first_to_last_to_shed[idx_next_to_toggle_off_tmp].shed)
-      break;
-   }
-   return idx_next_to_toggle_off_tmp;
+/* function unreachablePolicy(o);
+ * Provides the "on_unreachable" policy of the channel "o" - "worst_case" if not given or unknown:
+ *  "worst_case"    - The channel is accounted with its peak current
+ *  "shed_local"    - The channel is accounted with its last reading, and the next local channel loading
+ *                    any of its phases is shedded for as long as the channel is unreachable
+ *  "reduce_budget" - The channel is accounted with its last reading, and the budget of its phases is
+ *                    lowered by "unreachable_budget" A, or by its peak current if not given */
+function unreachablePolicy(o) {
+  if (o.on_unreachable == "shed_local" || o.on_unreachable == "reduce_budget")
+    return o.on_unreachable;
+  return "worst_case";
+}
+
+
+/* function isUnreachable(o);
+ * Checks if the remote channel "o" is unreachable - I.e. it has no fresh current reading, a channel
+ * that has never been read is given "measurement_max_age_setting" seconds to respond */
+function isUnreachable(o) {
+  if (simulation || o.addr == "localhost" || !o.measure)
+    return false;
+  let reading = getReading(o);
+  return reading.state == "stale" &&
+         (reading.ts != -1 || current_scan_time - reading.created > measurement_max_age_setting);
+}
+
+
+/* function parseTime(time);
+ * Provides the minutes since midnight for a "HH:MM" time ("24:00" allowed as end of day), -1 if invalid */
+function parseTime(time) {
+  if (typeof(time) != "string" || time.split(":").length != 2) return -1;
+  let hours = Number(time.split(":")[0]);
+  let minutes = Number(time.split(":")[1]);
+  if (isNaN(hours) || isNaN(minutes) || minutes < 0 || minutes > 59 || hours < 0 ||
+      hours * 60 + minutes > 24 * 60)
+    return -1;
+  return hours * 60 + minutes;
+}
+
+
+/* function validateScheduleEntries(entries, weekly);
+ * Checks an array of restriction schedule entries {days, from, to, restriction}, "days" is only allowed
+ * for weekly entries. Returns an error string, "" if the entries are valid */
+function validateScheduleEntries(entries, weekly) {
+  if (!Array.isArray(entries)) return "the entries are not an array";
+  for (let i = 0; i < entries.length; i++) {
+    let e = entries[i];
+    if (typeof(e) != "object" || e === null) return "entry " + i + " is not an object";
+    if (parseTime(e.from) == -1 || parseTime(e.to) == -1) return "entry " + i + " has an invalid from/to time";
+    if (parseTime(e.from) >= parseTime(e.to)) return "entry " + i + " does not end after it starts";
+    if (typeof(e.restriction) != "number" || e.restriction < 0) return "entry " + i + " has an invalid restriction";
+    if (def(e.days) && (!weekly || !Array.isArray(e.days))) return "entry " + i + " has invalid days";
+    if (def(e.days))
+      for (let j = 0; j < e.days.length; j++)
+        if (DAYS.indexOf(e.days[j]) == -1) return "entry " + i + " has an invalid day: " + e.days[j];
+  }
+  return "";
+}
+
+
+/* function validateSchedule(schedule);
+ * Checks a restriction schedule {weekly: [entries], exceptions: [{date: "YYYY-MM-DD", entries: [entries]}]},
+ * see validateScheduleEntries(). Returns an error string, "" if the schedule is valid */
+function validateSchedule(schedule) {
+  if (typeof(schedule) != "object" || schedule === null || Array.isArray(schedule)) return "the schedule is not an object";
+  let error = validateScheduleEntries(def(schedule.weekly) ? schedule.weekly : [], true);
+  if (error != "") return "weekly " + error;
+  let exceptions = def(schedule.exceptions) ? schedule.exceptions : [];
+  if (!Array.isArray(exceptions)) return "the exceptions are not an array";
+  for (let i = 0; i < exceptions.length; i++) {
+    if (typeof(exceptions[i]) != "object" || exceptions[i] === null || typeof(exceptions[i].date) != "string" ||
+        exceptions[i].date.length != 10 || exceptions[i].date.split("-").length != 3)
+      return "exception " + i + " has an invalid date";
+    error = validateScheduleEntries(def(exceptions[i].entries) ? exceptions[i].entries : [], false);
+    if (error != "") return "exception " + exceptions[i].date + " " + error;
+  }
+  return "";
+}
+
+
+/* function localTime(ago);
+ * Provides the device local time {date: "YYYY-MM-DD", day: <"sun".."sat">, minutes: <since midnight>},
+ * or the local time "ago" seconds back if given, undefined if the device time is not yet set. The local
+ * date is derived from the UTC "unixtime" and the offset of the local "time" of the "sys" component status */
+function localTime(ago) {
+  let sys = Shelly.getComponentStatus("sys");
+  if (!def(sys) || sys === null || !def(sys.unixtime) || sys.unixtime === null || parseTime(sys.time) == -1)
+    return undefined;
+  let offset = (parseTime(sys.time) - Math.floor(sys.unixtime / 60) % 1440 + 1440) % 1440;
+  if (offset > 720) offset -= 1440;
+  let local = new Date((sys.unixtime - (def(ago) ? ago : 0) + offset * 60) * 1000);
+  return {date: local.getUTCFullYear() + "-" + ("0" + (local.getUTCMonth() + 1)).slice(-2) + "-" +
+                ("0" + local.getUTCDate()).slice(-2),
+          day: DAYS[local.getUTCDay()], minutes: local.getUTCHours() * 60 + local.getUTCMinutes()};
+}
+
+
+/* function updateSchedule();
+ * Finds the restriction schedule entry active at the device local time: an exception for today's date
+ * replaces the weekly entries for the whole day. The first active entry applies, and its restriction is
+ * applied by activeRestriction() unless overridden by a manual restriction */
+function updateSchedule() {
+  let now = localTime();
+  let entry = null;
+  if (def(now)) {
+    let entries = def(restriction_schedule_setting.weekly) ? restriction_schedule_setting.weekly : [];
+    let exceptions = def(restriction_schedule_setting.exceptions) ? restriction_schedule_setting.exceptions : [];
+    for (let i = 0; i < exceptions.length; i++)
+      if (exceptions[i].date == now.date)
+        entries = def(exceptions[i].entries) ? exceptions[i].entries : [];
+    for (let i = 0; i < entries.length && entry === null; i++)
+      if ((!def(entries[i].days) || entries[i].days.indexOf(now.day) != -1) &&
+          parseTime(entries[i].from) <= now.minutes && now.minutes < parseTime(entries[i].to))
+        entry = entries[i];
+  }
+  if (JSON.stringify(entry) != JSON.stringify(schedule_entry)) {
+    if (entry === null)
+      log(LOG_INFO, "Scheduled current restriction ended");
+    else
+      log(LOG_INFO, "Scheduled current restriction of " + entry.restriction + " A is active from " + entry.from +
+          " to " + entry.to + (current_restriction_setting != -1 ? ", overridden by the manual restriction" : ""));
+    schedule_entry = entry;
+  }
+}
+
+
+/* function validatePriceRules(rules);
+ * Checks price to current restriction rules [{above: <price>, restriction: <A>}, ...].
+ * Returns an error string, "" if the rules are valid */
+function validatePriceRules(rules) {
+  if (!Array.isArray(rules)) return "the rules are not an array";
+  for (let i = 0; i < rules.length; i++) {
+    if (typeof(rules[i]) != "object" || rules[i] === null) return "rule " + i + " is not an object";
+    if (typeof(rules[i].above) != "number") return "rule " + i + " has an invalid price";
+    if (typeof(rules[i].restriction) != "number" || rules[i].restriction < 0) return "rule " + i + " has an invalid restriction";
+  }
+  return "";
+}
+
+
+/* function priceRestriction(price);
+ * Provides the current restriction for an energy price: the lowest restriction of all rules with a
+ * price threshold below the price, -1 if no rule applies */
+function priceRestriction(price) {
+  let restriction = -1;
+  for (let i = 0; i < price_restriction_rules_setting.length; i++)
+    if (price > price_restriction_rules_setting[i].above &&
+        (restriction == -1 || price_restriction_rules_setting[i].restriction < restriction))
+      restriction = price_restriction_rules_setting[i].restriction;
+  return restriction;
+}
+
+
+/* function persistPriceForecast();
+ * Stores the price forecast in the KVS "price_forecast" such that it is kept over a script restart */
+function persistPriceForecast() {
+  price_forecast_kvs = JSON.stringify(price_forecast);
+  queueShellyCall("KVS.Set", {key: "price_forecast", value: price_forecast},
+    function(result, error_code, error_message) {
+      if (error_code != 0)
+        log(LOG_ERROR, "Failed to persist the price forecast, error: " + error_message);
+    });
+}
+
+
+/* function updatePriceRestriction();
+ * Finds the price forecast period covering the device time and derives the price restriction from the
+ * price rules. Passed periods are dropped from the forecast, no restriction applies beyond its end */
+function updatePriceRestriction() {
+  let sys = Shelly.getComponentStatus("sys");
+  let price = null;
+  if (def(sys) && sys !== null && def(sys.unixtime) && sys.unixtime !== null) {
+    while (price_forecast.prices.length && price_forecast.start + price_forecast.interval <= sys.unixtime) {
+      price_forecast.prices.splice(0, 1);
+      price_forecast.start += price_forecast.interval;
+    }
+    if (price_forecast.prices.length && price_forecast.start <= sys.unixtime)
+      price = price_forecast.prices[0];
+  }
+  let restriction = price === null ? -1 : priceRestriction(price);
+  if (price === null && current_price !== null)
+    log(LOG_WARN, "The price forecast has run out, no price restriction applies");
+  if (restriction != price_restriction)
+    log(LOG_INFO, "Price restriction changed to " + restriction + " A at the price " + price);
+  current_price = price;
+  price_restriction = restriction;
+}
+
+
+/* function restrictionSource();
+ * Provides the source of the current restriction in effect: "manual" (northbound ordered), "schedule",
+ * "price" or "none". A manual restriction overrides the others, otherwise the lowest of the scheduled
+ * and the price restriction applies */
+function restrictionSource() {
+  if (current_restriction_setting != -1)
+    return "manual";
+  if (schedule_entry !== null && (price_restriction == -1 || schedule_entry.restriction <= price_restriction))
+    return "schedule";
+  return price_restriction != -1 ? "price" : "none";
+}
+
+
+/* function activeRestriction();
+ * Provides the current restriction in effect from restrictionSource(), -1 means no restriction */
+function activeRestriction() {
+  switch (restrictionSource()) {
+    case "manual":
+      return current_restriction_setting;
+    case "schedule":
+      return schedule_entry.restriction;
+    case "price":
+      return price_restriction;
+    default:
+      return -1;
+  }
+}
+
+
+/* function phaseRestriction(phase);
+ * Provides the current restriction for the phase: the manual or scheduled current restriction as given
+ * by activeRestriction(), or the phase fuse rating lowered by unreachable "reduce_budget" channels if
+ * lower. -1 means no restriction */
+function phaseRestriction(phase) {
+  if (budget_reduction[phase] == 0)
+    return activeRestriction();
+  let budget = Math.max(0, phaseRating(phase) - budget_reduction[phase]);
+  return activeRestriction() == -1 ? budget : Math.min(budget, activeRestriction());
+}
+
+
+/* function isHeldShedded(idx);
+ * Checks if the channel first_to_last_to_shed[idx] is held shedded on behalf of an unreachable
+ * "shed_local" channel, such channels are not loaded */
+function isHeldShedded(idx) {
+  for (let key in unreachable_shed)
+    if (unreachable_shed[key] == channelKey(first_to_last_to_shed[idx])) return true;
+  return false;
+}
+
+
+/* function applyUnreachablePolicies();
+ * Applies the "on_unreachable" policies of unreachable remote channels (see unreachablePolicy()), and
+ * raises a group alarm when the shedding group is degraded - I.e. when any remote channel is unreachable
+ * or any channel is faulted (see actuationFailed()). The alarm is logged, emitted as a "shedder_alarm"
+ * event and reported by "getLoadStatus" */
+function applyUnreachablePolicies() {
+  let degraded = [];
+  let unreachable = {};
+  for (let i = 0; i < PHASES.length; i++)
+    budget_reduction[PHASES[i]] = 0;
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (!isMeter(o) && getActuation(o).faulted)
+      degraded.push({addr:o.addr, type:o.type, id:o.id, reason:"faulted"});
+    if (!isUnreachable(o))
+      continue;
+    let policy = unreachablePolicy(o);
+    degraded.push({addr:o.addr, type:o.type, id:o.id, reason:"unreachable", policy:policy});
+    unreachable[channelKey(o)] = true;
+    let phases = channelPhases(o);
+    if (policy == "reduce_budget") {
+      for (let j = 0; j < phases.length; j++)
+        budget_reduction[phases[j]] += def(o.unreachable_budget) ? o.unreachable_budget : getReading(o).peak;
+    }
+    else if (policy == "shed_local" && !def(unreachable_shed[channelKey(o)])) {
+      let idx = -1;
+      for (let j = 0; j < first_to_last_to_shed.length && idx == -1; j++) {
+        let local = first_to_last_to_shed[j];
+        if (local.addr != "localhost" || !local.shed || !getActuation(local).target || getActuation(local).faulted ||
+            (def(getPin(local)) && getPin(local).state == "on"))
+          continue;
+        for (let k = 0; k < phases.length; k++)
+          if (channelPhases(local).indexOf(phases[k]) != -1) idx = j;
+      }
+      unreachable_shed[channelKey(o)] = idx == -1 ? "" : channelKey(first_to_last_to_shed[idx]);
+      if (idx == -1)
+        log(LOG_WARN, "Channel " + o.id + " at " + o.addr + " is unreachable, but there is no local channel left to shed");
+      else {
+        log(LOG_WARN, "Channel " + o.id + " at " + o.addr + " is unreachable, shedding local channel " +
+            first_to_last_to_shed[idx].id + " in its place");
+        countStatistic(first_to_last_to_shed[idx], "shed", 1);
+        logEvent("shed", first_to_last_to_shed[idx], "channel " + o.id + " at " + o.addr + " is unreachable");
+        turn(idx, "off");
+      }
+    }
+  }
+  for (let key in unreachable_shed) {
+    if (unreachable[key]) continue;
+    if (unreachable_shed[key] != "")
+      log(LOG_INFO, "Channel " + key + " is reachable again, local channel " + unreachable_shed[key] +
+          " is released for loading");
+    delete unreachable_shed[key];
+  }
+  if (JSON.stringify(degraded) != JSON.stringify(degraded_channels)) {
+    if (degraded.length)
+      log(LOG_ERROR, "The shedding group is degraded: " + JSON.stringify(degraded));
+    else
+      log(LOG_INFO, "The shedding group is no longer degraded");
+    degraded_channels = degraded;
+    Shelly.emitEvent("shedder_alarm", {degraded: degraded.length > 0, channels: degraded});
+  }
+}
+
+
+/* function isShedded(idx);
+ * Checks if the channel first_to_last_to_shed[idx] is currently shedded (ordered off, even if not yet
+ * confirmed), faulted channels are neither shedded nor loaded. A channel pinned off is off by its pin,
+ * not shedded */
+function isShedded(idx) {
+  let o = first_to_last_to_shed[idx];
+  return o.shed && !getActuation(o).faulted && !getActuation(o).target && !(def(getPin(o)) && getPin(o).state == "off");
+}
+
+
+/* function nextIdxToShed(must_shed);
+ * Provides the index of the next channel to shed - the channel with the least priority that is not yet
+ * shedded, faulted nor unreachable and that loads any of the phases for which "must_shed[phase]" is set,
+ * -1 if there is none. Hence the next channel in priority order is shedded instead of a faulted or
+ * unreachable channel. Channels pinned on are only shedded if no other channel is left to shed and the
+ * phase fuse is truly overloaded (not only exceeding a current restriction) */
+function nextIdxToShed(must_shed) {
+  for (let pass = 0; pass < 2; pass++) {
+    for (let i = 0; i < first_to_last_to_shed.length; i++) {
+      let o = first_to_last_to_shed[i];
+      if (!o.shed || !getActuation(o).target || getActuation(o).faulted || isUnreachable(o))
+        continue;
+      if (pass == 0 && def(getPin(o)) && getPin(o).state == "on")
+        continue;
+      let phases = channelPhases(o);
+      for (let j = 0; j < phases.length; j++)
+        if (must_shed[phases[j]] && (pass == 0 || fuse_state[phases[j]].overloaded)) return i;
+    }
+  }
+  return -1;
+}
+
+
+/* function nextIdxToLoad(can_load);
+ * Provides the index of the next shedded channel to load, channels are loaded in reverse shedding order
+ * per phase: a channel is only loaded if it fits as given by fitsLoad() and no shedded channel with
+ * higher priority is waiting for any of its phases. Channels pinned off are not shedded and never loaded.
+ * If "can_load" is not given, the shedded channel with the highest priority is provided. -1 if there is no
+ * channel to load */
+function nextIdxToLoad(can_load) {
+  let blocked = [];
+  for (let i = first_to_last_to_shed.length - 1; i >= 0; i--) {
+    if (!isShedded(i) || isHeldShedded(i) || isUnreachable(first_to_last_to_shed[i]))
+      continue;
+    if (!def(can_load))
+      return i;
+    let phases = channelPhases(first_to_last_to_shed[i]);
+    let waiting = false;
+    for (let j = 0; j < phases.length; j++)
+      if (blocked.indexOf(phases[j]) != -1) waiting = true;
+    if (!waiting && fitsLoad(i, can_load))
+      return i;
+    for (let j = 0; j < phases.length; j++)
+      blocked.push(phases[j]);
+  }
+  return -1;
+}
+
+
+/* function channelCurrent(o);
+ * Provides the current through the (most loaded) phase fuse that the channel "o" loads */
+function channelCurrent(o) {
+  let phases = channelPhases(o);
+  let current = 0;
+  for (let i = 0; i < phases.length; i++)
+    current = Math.max(current, phase_current[phases[i]]);
+  return current;
+}
+
+
+/* function statusReport(must_shed, must_shed_power);
+ * Provides the status webhook body {shedderStatus: {...}}, "fuseProtectionShedding" is set when a phase
+ * fuse is overloaded and "restrictionProtectionShedding" when a current or power restriction is exceeded */
+function statusReport(must_shed, must_shed_power) {
+  let fuse_shedding = false;
+  let restriction_shedding = must_shed_power;
+  let shedding = false;
+  for (let i = 0; i < PHASES.length; i++) {
+    if (!must_shed[PHASES[i]]) continue;
+    if (phaseRestriction(PHASES[i]) != -1 && phase_current[PHASES[i]] > phaseRestriction(PHASES[i]))
+      restriction_shedding = true;
+    else if (!must_shed_power)
+      fuse_shedding = true;
+  }
+  for (let i = 0; i < first_to_last_to_shed.length; i++)
+    if (isShedded(i)) shedding = true;
+  let next_to_shed = nextIdxToShed({a: true, b: true, c: true});
+  return {shedderStatus: {hostName: hostname_setting, loadDirection: direction, shedding: shedding,
+                          nextToShed: next_to_shed == -1 ? -1 : first_to_last_to_shed[next_to_shed].id,
+                          fuseProtectionShedding: fuse_shedding, restrictionProtectionShedding: restriction_shedding,
+                          groupFuseCurrent: total, channel_current: localChannelArray(current_vector),
+                          channel_current_by_key: channelValues(current_vector)}};
+}
+
+
+/* function reportStatus(must_shed, must_shed_power);
+ * Queues a status webhook when the shedder status has changed, and at least every
+ * "WEBHOOK_REPORT_INTERVAL" seconds. The queue is bounded to "WEBHOOK_QUEUE_LIMIT" reports, the
+ * oldest report is dropped when full */
+function reportStatus(must_shed, must_shed_power) {
+  if (status_webhook_uri_setting == "" || hostname_setting == "")
+    return;
+  let report = statusReport(must_shed, must_shed_power);
+  let state = JSON.stringify([report.shedderStatus.loadDirection, report.shedderStatus.shedding,
+                              report.shedderStatus.nextToShed, report.shedderStatus.fuseProtectionShedding,
+                              report.shedderStatus.restrictionProtectionShedding]);
+  if (state == webhook_last_state && current_scan_time - webhook_last_report < WEBHOOK_REPORT_INTERVAL)
+    return;
+  webhook_last_state = state;
+  webhook_last_report = current_scan_time;
+  if (webhook_queue.length >= WEBHOOK_QUEUE_LIMIT) {
+    webhook_queue.splice(0, 1);
+    webhook_stats.dropped++;
+    log(LOG_WARN, "Status webhook queue is full, dropping the oldest report");
+  }
+  webhook_queue.push({body: JSON.stringify(report), attempts: 0, retry_at: current_scan_time});
+}
+
+
+/* function deliverWebhooks();
+ * Sends the oldest queued status webhook as a HTTP PUT to "<status_webhook_uri_setting>/shedder/<hostname>/status",
+ * one at a time. A failed delivery is retried with a doubling backoff, after "WEBHOOK_MAX_ATTEMPTS"
+ * attempts the report is dropped */
+function deliverWebhooks() {
+  if (webhook_pending || !webhook_queue.length || webhook_queue[0].retry_at > current_scan_time)
+    return;
+  webhook_pending = true;
+  webhook_queue[0].attempts++;
+  if (webhook_queue[0].attempts > 1) webhook_stats.retries++;
+  webhook_stats.sent++;
+  queueShellyCall("HTTP.Request", {method: "PUT", url: status_webhook_uri_setting + "/shedder/" + hostname_setting + "/status",
+                                   body: webhook_queue[0].body, headers: {"Content-Type": "application/json"}, timeout: 5},
+    function(result, error_code, error_message, params) {
+      webhook_pending = false;
+      if (webhook_queue[0] !== params.report)
+        return;
+      if (error_code == 0 && def(result) && result.code >= 200 && result.code < 300) {
+        webhook_queue.splice(0, 1);
+        webhook_stats.delivered++;
+        webhook_stats.last_delivery = current_scan_time;
+        return;
+      }
+      webhook_stats.last_error = error_code != 0 ? error_message : "HTTP status " + (def(result) ? result.code : "none");
+      if (params.report.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        webhook_queue.splice(0, 1);
+        webhook_stats.failed++;
+        log(LOG_WARN, "Status webhook could not be delivered after " + params.report.attempts + " attempts, error: " +
+            webhook_stats.last_error);
+        return;
+      }
+      params.report.retry_at = current_scan_time + Math.pow(2, params.report.attempts - 1);
+      log(LOG_VERBOSE, "Status webhook delivery failed, error: " + webhook_stats.last_error + ", retrying in " +
+          Math.pow(2, params.report.attempts - 1) + " seconds");
+    },
+    {report: webhook_queue[0]});
+}
+
+
+/* function mqttSetup();
+ * Subscribes to the MQTT command topics "<mqtt_topic_setting>/command/+" whenever the MQTT base topic
+ * is changed, the previous base topic is marked offline and unsubscribed, and its discovery configs are
+ * removed */
+function mqttSetup() {
+  if (mqtt_subscribed_topic == mqtt_topic_setting)
+    return;
+  if (mqtt_subscribed_topic != "") {
+    MQTT.publish(mqtt_subscribed_topic + "/online", "false", 1, true);
+    MQTT.unsubscribe(mqtt_subscribed_topic + "/command/+");
+    for (let i = 0; i < mqtt_discovery_topics.length; i++)
+      MQTT.publish(mqtt_discovery_topics[i], "", 1, true);
+    mqtt_discovery_topics = [];
+  }
+  if (mqtt_topic_setting != "") {
+    MQTT.subscribe(mqtt_topic_setting + "/command/+", mqttCommand);
+    let config = Shelly.getComponentConfig("mqtt");
+    mqtt_device_online_topic = def(config) && config !== null && def(config.topic_prefix) ?
+                               config.topic_prefix + "/online" : "";
+    log(LOG_INFO, "MQTT status published to " + mqtt_topic_setting + "/status, commands subscribed at " +
+        mqtt_topic_setting + "/command/+");
+  }
+  mqtt_subscribed_topic = mqtt_topic_setting;
+  mqtt_last_state = "";
+  mqtt_discovery_key = "";
+}
+
+
+/* function mqttCommand(topic, message);
+ * Runs an MQTT command "<mqtt_topic_setting>/command/<command>" through shedderEndPoint() with the message
+ * as the value of "<command>" (none for an empty message) and as the body. The message is never parsed as
+ * a query, hence it can not add other query parameters. The response is published to
+ * "<mqtt_topic_setting>/response/<command>" as {code, response} */
+function mqttCommand(topic, message) {
+  let command = topic.split("/")[topic.split("/").length - 1];
+  let res = {code: 200, body: "", headers: []};
+  res.send = function() {
+    let response = res.body;
+    try {
+      response = JSON.parse(res.body);
+    }
+    catch (error) {
+    }
+    MQTT.publish(mqtt_topic_setting + "/response/" + command, JSON.stringify({code: res.code, response: response}), 0, false);
+  };
+  log(LOG_INFO, "MQTT command " + command + " received: " + message);
+  let key_values = {};
+  key_values[command] = def(message) && message !== null && message !== "" ? message : undefined;
+  shedderEndPoint({query: command, key_values: key_values, body: def(message) && message !== null ? message : ""}, res);
+}
+
+
+/* function mqttStatus();
+ * Provides the shedder status published to "<mqtt_topic_setting>/status" */
+function mqttStatus() {
+  let channels = [];
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (!isMeter(o))
+      channels.push({id: o.id, addr: o.addr, current: current_vector[channelKey(o)], power: power_vector[channelKey(o)],
+                     state: switch_state[channelKey(o)] == true ? "on" : "off", shedded: isShedded(i)});
+  }
+  return {loadDirection: direction, simulation: simulation, current: total, power: total_power, channels: channels,
+          currentRestriction: current_restriction_setting, activeRestriction: activeRestriction(),
+          restrictionSource: restrictionSource(), powerRestriction: power_restriction_setting, powerLimit: powerLimit(),
+          groupState: degraded_channels.length ? "degraded" : "normal", deviceOnlineTopic: mqtt_device_online_topic};
+}
+
+
+/* function discoveryConfigs();
+ * Provides the Home Assistant MQTT discovery configs {<config topic>: <config>} for the shedder: sensors for
+ * the group current and the load direction, a number for the current restriction, a switch for the
+ * simulation mode, and a current sensor and a "shed" binary sensor per switched channel. All entities are
+ * read from the "<mqtt_topic_setting>/status" topic and belong to one device */
+function discoveryConfigs() {
+  let node = mqtt_topic_setting.split("/").join("_");
+  let availability = [{topic: mqtt_topic_setting + "/online", payload_available: "true", payload_not_available: "false"}];
+  if (mqtt_device_online_topic != "")
+    availability.push({topic: mqtt_device_online_topic, payload_available: "true", payload_not_available: "false"});
+  let entities = [
+    {component: "sensor", object: "current", config: {name: "Current", device_class: "current", state_class: "measurement",
+     unit_of_measurement: "A", value_template: "{{ value_json.current }}"}},
+    {component: "sensor", object: "load_direction", config: {name: "Load direction", device_class: "enum",
+     options: ["shedding", "loading", "coasting"], value_template: "{{ value_json.loadDirection }}"}},
+    {component: "number", object: "current_restriction", config: {name: "Current restriction", unit_of_measurement: "A",
+     min: -1, max: 1000, step: 1, mode: "box", command_topic: mqtt_topic_setting + "/command/setCurrentRestriction",
+     value_template: "{{ value_json.currentRestriction }}"}},
+    {component: "switch", object: "simulation", config: {name: "Simulation", payload_on: "true", payload_off: "false",
+     state_on: "true", state_off: "false", command_topic: mqtt_topic_setting + "/command/simulation",
+     value_template: "{{ 'true' if value_json.simulation else 'false' }}"}}
+  ];
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (isMeter(o)) continue;
+    let channel = "(value_json.channels | selectattr('id', 'eq', " + o.id + ") | selectattr('addr', 'eq', '" + o.addr +
+                  "') | first)";
+    let object = "channel_" + o.addr.split(".").join("_") + "_" + o.id;
+    entities.push({component: "sensor", object: object + "_current", config: {name: "Channel " + o.id +
+                   (o.addr != "localhost" ? " at " + o.addr : "") + " current", device_class: "current",
+                   state_class: "measurement", unit_of_measurement: "A", value_template: "{{ " + channel + ".current }}"}});
+    entities.push({component: "binary_sensor", object: object + "_shed", config: {name: "Channel " + o.id +
+                   (o.addr != "localhost" ? " at " + o.addr : "") + " shed",
+                   value_template: "{{ 'ON' if " + channel + ".shedded else 'OFF' }}"}});
+  }
+  let configs = {};
+  for (let i = 0; i < entities.length; i++) {
+    let config = entities[i].config;
+    config.unique_id = node + "_" + entities[i].object;
+    config.state_topic = mqtt_topic_setting + "/status";
+    config.availability = availability;
+    config.availability_mode = "all";
+    config.device = {identifiers: [node], name: "Shedder " + (hostname_setting != "" ? hostname_setting : mqtt_topic_setting),
+                     manufacturer: "shellyShedder", model: "Current shedder"};
+    configs[mqtt_discovery_prefix_setting + "/" + entities[i].component + "/" + node + "/" + entities[i].object + "/config"] = config;
+  }
+  return configs;
+}
+
+
+/* function publishDiscovery();
+ * Publishes the Home Assistant MQTT discovery configs retained whenever they change, e.g. when the channel
+ * configuration, the base topic or the discovery prefix changes, and after every (re-)connection. The
+ * configs of entities that no longer exist are removed. "" for "mqtt_discovery_prefix_setting" disables
+ * the discovery */
+function publishDiscovery() {
+  let configs = mqtt_discovery_prefix_setting != "" ? discoveryConfigs() : {};
+  let key = JSON.stringify(configs);
+  if (key == mqtt_discovery_key)
+    return;
+  for (let i = 0; i < mqtt_discovery_topics.length; i++)
+    if (!def(configs[mqtt_discovery_topics[i]]))
+      MQTT.publish(mqtt_discovery_topics[i], "", 1, true);
+  mqtt_discovery_topics = Object.keys(configs);
+  for (let i = 0; i < mqtt_discovery_topics.length; i++)
+    MQTT.publish(mqtt_discovery_topics[i], JSON.stringify(configs[mqtt_discovery_topics[i]]), 1, true);
+  if (mqtt_discovery_topics.length)
+    log(LOG_INFO, "Published " + mqtt_discovery_topics.length + " Home Assistant discovery configs");
+  mqtt_discovery_key = key;
+}
+
+
+/* function publishStatus();
+ * Publishes the shedder status retained to "<mqtt_topic_setting>/status" when the load direction, the
+ * simulation mode, a switch state, the restrictions or the group state changes, and at least every
+ * "mqtt_publish_interval_setting" seconds. "<mqtt_topic_setting>/online" is published retained "true" after
+ * every (re-)connection, followed by the discovery configs (see publishDiscovery()) */
+function publishStatus() {
+  mqttSetup();
+  if (mqtt_topic_setting == "" || !MQTT.isConnected())
+    return;
+  let status = mqttStatus();
+  let state = JSON.stringify([status.loadDirection, status.simulation, status.channels.map(function(c) { return c.state; }),
+                              status.activeRestriction, status.powerLimit, status.groupState]);
+  if (state == mqtt_last_state && current_scan_time - mqtt_last_publish < mqtt_publish_interval_setting)
+    return;
+  if (mqtt_last_state == "")
+    MQTT.publish(mqtt_topic_setting + "/online", "true", 1, true);
+  publishDiscovery();
+  mqtt_last_state = state;
+  mqtt_last_publish = current_scan_time;
+  MQTT.publish(mqtt_topic_setting + "/status", JSON.stringify(status), 0, true);
+}
+
+
+/* function mqttOffline();
+ * Publishes "<mqtt_topic_setting>/online" retained "false" when the script is stopped on purpose */
+function mqttOffline() {
+  if (mqtt_subscribed_topic != "" && MQTT.isConnected())
+    MQTT.publish(mqtt_subscribed_topic + "/online", "false", 1, true);
+}
+
+
+/* function metricsText();
+ * Provides the shedder metrics in the OpenMetrics text format */
+function metricsText() {
+  let lines = [];
+  let metric = function(name, type, unit, help, samples) {
+    lines.push("# TYPE " + name + " " + type);
+    if (unit != "") lines.push("# UNIT " + name + " " + unit);
+    lines.push("# HELP " + name + " " + help);
+    for (let i = 0; i < samples.length; i++)
+      lines.push(name + (type == "counter" ? "_total" : "") + samples[i][0] + " " + samples[i][1]);
+  };
+  let channels = [];
+  let switches = [];
+  let sheds = [];
+  let loads = [];
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (isMeter(o)) continue;
+    let labels = "{channel=\"" + o.id + "\",addr=\"" + o.addr + "\"}";
+    let events = def(channel_events[channelKey(o)]) ? channel_events[channelKey(o)] : {shed: 0, load: 0};
+    channels.push([labels, current_vector[channelKey(o)]]);
+    switches.push([labels, switch_state[channelKey(o)] == true ? 1 : 0]);
+    sheds.push([labels, events.shed]);
+    loads.push([labels, events.load]);
+  }
+  let phases = usedPhases();
+  let phase_samples = function(value) {
+    let samples = [];
+    for (let i = 0; i < phases.length; i++)
+      samples.push(["{phase=\"" + phases[i] + "\"}", value(phases[i])]);
+    return samples;
+  };
+  metric("shedder_current_amperes", "gauge", "amperes", "Total current through the group fuse(s).", [["", total]]);
+  metric("shedder_power_watts", "gauge", "watts", "Total active power through the group fuse(s).", [["", total_power]]);
+  metric("shedder_phase_current_amperes", "gauge", "amperes", "Current through each phase fuse.",
+         phase_samples(function(p) { return phase_current[p]; }));
+  metric("shedder_channel_current_amperes", "gauge", "amperes", "Current accounted for each channel.", channels);
+  metric("shedder_channel_switch_state", "gauge", "", "Channel switch state, 1: on, 0: off.", switches);
+  metric("shedder_current_restriction_amperes", "gauge", "amperes", "Current restriction in effect, -1: none.",
+         [["", activeRestriction()]]);
+  metric("shedder_overload_time_seconds", "gauge", "seconds", "Time each phase fuse has been overloaded, -1: no overload.",
+         phase_samples(function(p) { return fuse_state[p].over_load_time; }));
+  metric("shedder_cool_down_time_remaining_seconds", "gauge", "seconds",
+         "Estimated cool-down time before loading is allowed, -1: no cool-down.",
+         phase_samples(function(p) { return fuse_state[p].cool_down_time_remaining; }));
+  metric("shedder_scan_overruns", "counter", "", "Scans skipped because the previous scan had not completed.",
+         [["", overruns_total]]);
+  metric("shedder_call_queue_depth", "gauge", "", "Shelly calls queued for execution.", [["", shelly_call_records.length]]);
+  metric("shedder_channel_shed_events", "counter", "", "Times each channel has been shedded.", sheds);
+  metric("shedder_channel_load_events", "counter", "", "Times each channel has been re-loaded.", loads);
+  lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+
+/* function countEvent(o, event);
+ * Counts a "shed" or "load" event for the channel "o" */
+function countEvent(o, event) {
+  if (!def(channel_events[channelKey(o)]))
+    channel_events[channelKey(o)] = {shed: 0, load: 0};
+  channel_events[channelKey(o)][event]++;
+}
+
+
+/* function unixTime();
+ * Provides the device unixtime, -1 if the device time is not yet set */
+function unixTime() {
+  let sys = Shelly.getComponentStatus("sys");
+  return def(sys) && sys !== null && def(sys.unixtime) && sys.unixtime !== null ? sys.unixtime : -1;
+}
+
+
+/* function logEvent(type, o, reason);
+ * Records an event in the event log, a ring buffer of the latest "EVENT_LOG_SIZE" events. "type" is one
+ * of "shed", "load", "test_load", "overload_start", "cool_down_start", "cool_down_end",
+ * "restriction_change", "short" and "actuation_failure", "o" is the channel concerned (undefined: none).
+ * The event is timestamped with the device unixtime (-1: time not set) and records the total and phase
+ * currents at the time */
+function logEvent(type, o, reason) {
+  let round = function(current) { return Math.round(current * 100) / 100; };
+  if (event_log.length >= EVENT_LOG_SIZE)
+    event_log.splice(0, 1);
+  event_log.push({seq: ++event_seq, ts: unixTime(), type: type, channel: def(o) ? o.id : -1, addr: def(o) ? o.addr : "", current: round(total),
+                  phaseCurrent: {a: round(phase_current.a), b: round(phase_current.b), c: round(phase_current.c)},
+                  reason: reason});
+}
+
+
+/* function eventLog(since, limit);
+ * Provides the logged events, optionally only those with a timestamp from the unixtime "since", and
+ * at most the "limit" latest ones */
+function eventLog(since, limit) {
+  let events = [];
+  for (let i = 0; i < event_log.length; i++)
+    if (!def(since) || event_log[i].ts >= since)
+      events.push(event_log[i]);
+  if (def(limit) && events.length > limit)
+    events.splice(0, events.length - limit);
+  return events;
+}
+
+
+/* function shedReason(idx, must_shed, must_shed_power);
+ * Provides the reason for shedding the channel first_to_last_to_shed[idx] for the event log: the
+ * overloaded phase fuses, the exceeded current restrictions and/or the exceeded power limit */
+function shedReason(idx, must_shed, must_shed_power) {
+  let reasons = [];
+  let phases = channelPhases(first_to_last_to_shed[idx]);
+  for (let i = 0; i < phases.length; i++) {
+    if (!must_shed[phases[i]]) continue;
+    let current = phase_current[phases[i]];
+    if (phaseRestriction(phases[i]) != -1 && current > phaseRestriction(phases[i]))
+      reasons.push((usedPhases().length > 1 ? "phase " + phases[i] + " current " : "current ") + current +
+                   " A exceeds the current restriction " + phaseRestriction(phases[i]) + " A");
+    else if (fuse_state[phases[i]].over_load_time != -1)
+      reasons.push(fuseName(fuse_state[phases[i]]) + " overloaded at " + current + " A");
+  }
+  if (must_shed_power)
+    reasons.push("power " + total_power + " W exceeds the power limit " + powerLimit() + " W");
+  return reasons.join(", ");
+}
+
+
+/* function logRestrictionChange();
+ * Logs a "restriction_change" event when the current restriction in effect, its source, the power
+ * restriction or the power budget has changed */
+function logRestrictionChange() {
+  let restriction = JSON.stringify([restrictionSource(), activeRestriction(), power_restriction_setting, power_budget_setting]);
+  if (restriction == event_last_restriction)
+    return;
+  let reason = activeRestriction() == -1 ? "no current restriction" :
+               restrictionSource() + " current restriction " + activeRestriction() + " A";
+  if (power_restriction_setting != -1) reason += ", power restriction " + power_restriction_setting + " W";
+  if (power_budget_setting != -1) reason += ", power budget " + power_budget_setting + " W";
+  if (event_last_restriction != "" || restriction != JSON.stringify(["none", -1, -1, -1]))
+    logEvent("restriction_change", undefined, reason);
+  event_last_restriction = restriction;
+}
+
+
+/* function channelStatistics(o);
+ * Provides the statistics record of the switched channel "o": the number of times it has been shedded
+ * "shed", the cumulative time it has been shedded "shed_time" [s] and the number of test-load attempts
+ * "test_loads" */
+function channelStatistics(o) {
+  let key = channelKey(o);
+  if (!def(statistics.channels[key]))
+    statistics.channels[key] = {shed: 0, shed_time: 0, test_loads: 0};
+  return statistics.channels[key];
+}
+
+
+/* function countStatistic(o, statistic, amount);
+ * Adds "amount" to the "statistic" of the channel "o", see channelStatistics() */
+function countStatistic(o, statistic, amount) {
+  channelStatistics(o)[statistic] += amount;
+  statistics_changed = true;
+}
+
+
+/* function updateStatistics();
+ * Accumulates the shed time of the shedded channels, called every scan. The statistics are only marked
+ * changed by counter changes and by channels being shedded or restored, not by the shed time accrual, and
+ * are persisted in the KVS "channel_statistics" at most every "statistics_persist_interval_setting"
+ * seconds to spare the KVS storage from wear, statistics since the last write are lost at a restart */
+function updateStatistics() {
+  if (statistics.since == -1)
+    statistics.since = unixTime();
+  let shedded = {};
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    if (!isShedded(i)) continue;
+    let key = channelKey(first_to_last_to_shed[i]);
+    shedded[key] = true;
+    if (!statistics_shedded[key]) statistics_changed = true;
+    channelStatistics(first_to_last_to_shed[i]).shed_time += scan_interval * (overrun_cnt + 1);
+  }
+  for (let key in statistics_shedded)
+    if (!shedded[key]) statistics_changed = true;
+  statistics_shedded = shedded;
+  if (statistics_changed && current_scan_time - Math.max(0, statistics_persisted) >= statistics_persist_interval_setting)
+    persistStatistics();
+}
+
+
+/* function persistStatistics();
+ * Stores the statistics of the configured channels in the KVS "channel_statistics" */
+function persistStatistics() {
+  let channels = {};
+  for (let i = 0; i < first_to_last_to_shed.length; i++)
+    if (!isMeter(first_to_last_to_shed[i]))
+      channels[channelKey(first_to_last_to_shed[i])] = channelStatistics(first_to_last_to_shed[i]);
+  statistics.channels = channels;
+  statistics_kvs = JSON.stringify(statistics);
+  statistics_changed = false;
+  statistics_persisted = current_scan_time;
+  queueShellyCall("KVS.Set", {key: "channel_statistics", value: statistics},
+    function(result, error_code, error_message) {
+      if (error_code != 0)
+        log(LOG_ERROR, "Failed to persist the channel statistics, error: " + error_message);
+    });
+}
+
+
+/* function restoreStatistics(stored);
+ * Restores the statistics read from the KVS "channel_statistics". The statistics counted since the
+ * script started are added at the first restore, later changes in the KVS replace them */
+function restoreStatistics(stored) {
+  if (statistics_kvs == "") {
+    for (let key in stored.channels) {
+      let counted = def(statistics.channels[key]) ? statistics.channels[key] : {shed: 0, shed_time: 0, test_loads: 0};
+      statistics.channels[key] = {shed: stored.channels[key].shed + counted.shed,
+                                  shed_time: stored.channels[key].shed_time + counted.shed_time,
+                                  test_loads: stored.channels[key].test_loads + counted.test_loads};
+    }
+    statistics.since = stored.since;
+  }
+  else
+    statistics = stored;
+  statistics_kvs = JSON.stringify(stored);
+}
+
+
+/* function resetStatistics();
+ * Restarts the statistics of all channels and persists the reset at once */
+function resetStatistics() {
+  statistics = {since: unixTime(), channels: {}};
+  persistStatistics();
 }
 
+
+/* function statisticsReport();
+ * Provides the statistics of the configured switched channels for "getStatistics" */
+function statisticsReport() {
+  let channels = [];
+  for (let i = 0; i < first_to_last_to_shed.length; i++) {
+    let o = first_to_last_to_shed[i];
+    if (isMeter(o)) continue;
+    let stats = channelStatistics(o);
+    channels.push({channel: o.id, addr: o.addr, shedCount: stats.shed, shedTime: Math.round(stats.shed_time),
+                   testLoads: stats.test_loads});
+  }
+  return {statistics: {since: statistics.since, persistInterval: statistics_persist_interval_setting,
+                       lastPersisted: statistics_persisted == -1 ? -1 : current_scan_time - statistics_persisted,
+                       channels: channels}};
+}
+
+
 /* function scanPower()
- * Main scan loop, gets invoked every "scan_interval" seconds. */
+ * Main scan loop, gets invoked every "scan_interval" seconds. The overload logic is run for each phase
+ * fuse, channels loading an overloaded phase are shedded in priority order. */
 function scanPower() {
   current_scan_time  += scan_interval;
   if (!last_overrun)
@@ -812,6 +3646,7 @@ function scanPower() {
   if (running) {
     last_overrun = true;
     overrun_cnt++;
+    overruns_total++;
     log(LOG_WARN, "Overrun, count is: " + overrun_cnt++);
     running = false;
     return;
@@ -820,103 +3655,75 @@ function scanPower() {
   last_overrun = false;
   if (!(current_scan_time % 10)) 
     checkKVS();
+  retryActuations();
+  expirePins();
+  commitConfig();
+  updateSchedule();
+  updatePriceRestriction();
   total = get_current();
+  updateRunningHour(total_power);
+  logRestrictionChange();
+  updateStatistics();
+  applyUnreachablePolicies();
   time_to_test_loading -= scan_interval;
-  if (idx_next_to_toggle_off && time_to_test_loading <= 0) {
-    //print(last_known_current);
-    last_known_current[first_to_last_to_shed[nextIdxToLoad()].id] = 0;
+  if (nextIdxToLoad() != -1 && time_to_test_loading <= 0) {
+    test_load_key = channelKey(first_to_last_to_shed[nextIdxToLoad()]);
     time_to_test_loading = time_to_test_loading_setting;
     log(LOG_INFO, "Will test load despite that the last known load does not fit the load budget");
-    //print(last_known_current);
-    //print(nextIdxToLoad());
-    //print(first_to_last_to_shed[nextIdxToLoad()].id);
+    countStatistic(first_to_last_to_shed[nextIdxToLoad()], "test_loads", 1);
+    logEvent("test_load", first_to_last_to_shed[nextIdxToLoad()],
+             "the last known load did not fit the load budget for " + time_to_test_loading_setting + " seconds");
+  }
+  let must_shed = {};
+  let can_load = {};
+  let must_shed_power = mustShedPower(total_power);
+  for (let i = 0; i < PHASES.length; i++) {
+    must_shed[PHASES[i]] = mustShed(fuse_state[PHASES[i]], phase_current[PHASES[i]]) || must_shed_power;
+    can_load[PHASES[i]] = canLoad(fuse_state[PHASES[i]], phase_current[PHASES[i]]);
   }
-  let must_shed = mustShed(total);
-  let can_load = canLoad(total);
-  if (idx_next_to_toggle_off < first_to_last_to_shed.length & must_shed) {
+  let idx_to_shed = nextIdxToShed(must_shed);
+  let idx_to_load = -1;
+  if (idx_to_shed != -1) {
     direction = "shedding";
     time_to_test_loading = time_to_test_loading_setting;
   }
-  else if (idx_next_to_toggle_off && can_load && total + 
-           last_known_current[first_to_last_to_shed[nextIdxToLoad()].id] <= fuse_rating_setting) {
-      //print("loading " + last_known_current + " " + total + " " + first_to_last_to_shed[idx_next_to_toggle_off-1].id);
+  else if ((idx_to_load = nextIdxToLoad(can_load)) != -1) {
       direction = "loading";
   }
   else {
     direction = "coasting";
   }
   if (direction == "loading") {
-    coasting_report_cnt = 0;
-    if (idx_next_to_toggle_off > 0) { 
-      while (idx_next_to_toggle_off > 0) {
-        idx_next_to_toggle_off--;
-        if (first_to_last_to_shed[idx_next_to_toggle_off].shed)
-          break;
-      }
-      if (first_to_last_to_shed[idx_next_to_toggle_off].shed) {
-        if (overload_webhook_uri_setting != "" && hostname_setting != "") {
-          print("SENDING A WEBHOOK for idx: " + idx_next_to_toggle_off);
-          /*queueShellyCall("HTTP.POST", { url: overload_webhook_uri_setting, body: 
-                          {hostname: hostname_setting, state: "Loading", current: total,
-                          next_to_discconect: first_to_last_to_shed[idx_next_to_toggle_off].id}}, 
-		                  function(result, error_code, error_message, idx) {
-			                return;
-                          }
-                          );*/
-        }
-        log(LOG_INFO, "Loading channel " + first_to_last_to_shed[idx_next_to_toggle_off].id + ", current before loading is: " +
-                       total +" A, expected current after loading is: " + 
-                       (total + last_known_current[first_to_last_to_shed[idx_next_to_toggle_off].id]) + " A");
-        
-        turn(idx_next_to_toggle_off, "on");
-      }
-      else 
-        log(LOG_INFO, "No more channels to load");
-    }
+    let o = first_to_last_to_shed[idx_to_load];
+    log(LOG_INFO, "Loading channel " + o.id + (usedPhases().length > 1 ? " on phase " + channelPhases(o).join("") : "") +
+                  ", current before loading is: " + channelCurrent(o) + " A, expected current after loading is: " + 
+                  (channelCurrent(o) + last_known_current[channelKey(o)]) + " A");
+    countEvent(o, "load");
+    logEvent("load", o, "expected current after loading " + (channelCurrent(o) + last_known_current[channelKey(o)]) +
+             " A fits the load budget");
+    turn(idx_to_load, "on");
   }
   if (direction == "shedding") {
-    coasting_report_cnt = 0;
-    if (idx_next_to_toggle_off != first_to_last_to_shed.length) {
-      if (first_to_last_to_shed[idx_next_to_toggle_off].shed) {
-        if (overload_webhook_uri_setting != "" && hostname_setting != "") {
-          print("SENDING A WEBHOOK for idx: " + idx_next_to_toggle_off);
-          /*queueShellyCall("HTTP.POST", { url: overload_webhook_uri_setting, body: 
-                          {hostname: hostname_setting, state: "Shedding", current: total,
-                          next_to_discconect: first_to_last_to_shed[idx_next_to_toggle_off].id}}, 
-			              function(result, error_code, error_message) {
-			                return;
-                          }
-                          );*/
-        }
-        log(LOG_INFO, "Shedding channel " + first_to_last_to_shed[idx_next_to_toggle_off].id + ", current before shedding is: "
-              + total + " A, expected current after shedding is: " +
-              + (total - last_known_current[first_to_last_to_shed[idx_next_to_toggle_off].id]) + " A");              
-        turn(idx_next_to_toggle_off, "off");
-      }
-      else
-        log(LOG_WARN, "No more channels to shed");
-      while (idx_next_to_toggle_off < first_to_last_to_shed.length) {
-        idx_next_to_toggle_off++;
-        if (idx_next_to_toggle_off>=first_to_last_to_shed.length || first_to_last_to_shed[idx_next_to_toggle_off].shed)
-          break;
-      }    
+    let o = first_to_last_to_shed[idx_to_shed];
+    let reason = shedReason(idx_to_shed, must_shed, must_shed_power);
+    if (def(getPin(o))) {
+      log(LOG_WARN, "The fuse is overloaded and no other channel is left to shed, overriding the pin of channel " + o.id);
+      unpinChannel(idx_to_shed, "overridden");
+      reason += ", pin overridden";
     }
+    log(LOG_INFO, "Shedding channel " + o.id + (usedPhases().length > 1 ? " on phase " + channelPhases(o).join("") : "") +
+          ", current before shedding is: " + channelCurrent(o) + " A, expected current after shedding is: " +
+          (channelCurrent(o) - last_known_current[channelKey(o)]) + " A");              
+    countEvent(o, "shed");
+    countStatistic(o, "shed", 1);
+    logEvent("shed", o, reason);
+    turn(idx_to_shed, "off");
   }
   else 
     no_more_can_ched_msg = false;
-  if (direction == "coasting") {
-     if (coasting_report_cnt * scan_interval * (overrun_cnt + 1) >= 60)
-        coasting_report_cnt = 0;
-     else
-       coasting_report_cnt++;
-     /*if (!coasting_report_cnt)
-       queueShellyCall("HTTP.POST", { url: overload_webhook_uri_setting, body: 
-                       {hostname: hostname_setting, state: "Shedding", current: total,
-                        next_to_discconect: first_to_last_to_shed[idx_next_to_toggle_off].id}}, 
-			function(result, error_code, error_message) {
-			  return;
-            });*/
-  }
+  reportStatus(must_shed, must_shed_power);
+  deliverWebhooks();
+  publishStatus();
   running = false;
   return;
 }
@@ -925,11 +3732,14 @@ function scanPower() {
 /*********************************************************************************************************/
 /*                                              main/init                                                */
 /*********************************************************************************************************/
-for (let i = 0; i < first_to_last_to_shed.length; i++) turn(i, switch_state[i] ? "on" : "off");
+selectTripCurve();
+syncChannelState();
+for (let i = 0; i < first_to_last_to_shed.length; i++) turn(i, switch_state[channelKey(first_to_last_to_shed[i])] ? "on" : "off");
 updateKvs();
 HTTPServer.registerEndpoint("shedder", shedderEndPoint);
 Shelly.addEventHandler(shellyEventCb); 
-Timer.set(scan_interval * 1000, true, scanPower);
+MQTT.setConnectHandler(function() { mqtt_last_state = ""; mqtt_discovery_key = ""; });
+scan_timer = Timer.set(scan_interval * 1000, true, scanPower);
 
 
 /*********************************************************************************************************/
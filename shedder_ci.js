@@ -11,7 +11,8 @@
 let fuse_rating_setting = 16;
 let fuse_char_setting = "C";
 let margin_factor_setting = 4;
-let cool_down_time_setting = 10;
+let fuse_cooling_time_constant_setting = 10;
+let cool_down_time = Math.ceil(fuse_cooling_time_constant_setting*Math.log(20));      // Worst case cool down from trip heat
 let time_to_test_loading_setting = 120;
 let current_restriction_hysteresis_setting = 0.1;
 let target_scan_interval = 0.5;
@@ -28,13 +29,18 @@ let verification_current_vector = new Array(8);
 let verification_trip_data = 0;
 let wait_for_shed = 0;
 let wait_for_cool = 0;
-let calls = 0;
-let shelly_call_records = [];
 let scan_interval = 0.5;
 let current = undefined;
 let switch_status = undefined;
 let load_status = undefined;
 let lowest_prio_chan = 0;
+let verification_done = false;
+let statistics = undefined;
+let response = undefined;
+let mqtt_responses = {};
+let mqtt_status = undefined;
+let mqtt_discovery = {};
+let emulated_network = false;      // Set by emulator/run_ci.js when the emulated remote devices and HTTP sinks exist
 
 /********************************************    Constants ***********************************************/
 const LOG_PREFIX = "shedderCI";
@@ -243,8 +249,11 @@ function setSimulation(simulation, cb) {
 function setSimulatedCurrent(current, cb) {
   //print("http://localhost/script/" + target_script_id +
   //      "/shedder?setSimulatedCurrent=" + JSON.stringify(current));
-  queueShellyCall("HTTP.GET", {url:"http://localhost/script/" + target_script_id +
-                              "/shedder?setSimulatedCurrent=" + JSON.stringify(current)}, 
+  queueShellyCall(Array.isArray(current) ? "HTTP.GET" : "HTTP.POST",
+                  Array.isArray(current) ? {url:"http://localhost/script/" + target_script_id +
+                                                "/shedder?setSimulatedCurrent=" + JSON.stringify(current)} :
+                                           {url:"http://localhost/script/" + target_script_id +
+                                                "/shedder?setSimulatedCurrent", body:JSON.stringify(current)}, 
                   function (result, error_code, error_message, cb) {
                     if(def(cb))
                       cb(result, error_code, error_message);
@@ -318,6 +327,43 @@ function getLoadStatus(cb) {
                   );
 }
 
+function shedderRequest(query, cb, body) {
+  queueShellyCall(def(body) ? "HTTP.POST" : "HTTP.GET",
+                  def(body) ? {url:"http://localhost/script/" + target_script_id + "/shedder?" + query, body:body} :
+                              {url:"http://localhost/script/" + target_script_id + "/shedder?" + query},
+                  function (result, error_code, error_message, cb) {
+                    if(def(cb))
+                      cb(def(result) && result !== null ? {code:result.code, body:atob(result.body_b64)} : undefined,
+                         error_code, error_message);
+                  },
+                  cb
+                  );
+}
+
+function getStatistics(cb) {
+  queueShellyCall("HTTP.GET", {url:"http://localhost/script/" + target_script_id +
+                              "/shedder?getStatistics"}, 
+                  function (result, error_code, error_message, cb) {
+                    result = JSON.parse(atob(result.body_b64));
+                    if(def(result) && "statistics" in result)
+                      cb(result.statistics, error_code, error_message);
+                    else
+                      cb(result, error_code, error_message);
+                    return;
+                  },
+                  cb
+                  );
+}
+
+/* function channelStatistics(statistics, addr, id);
+ * Provides the statistics of the channel with the given address and id, undefined if not reported */
+function channelStatistics(statistics, addr, id) {
+  if (!def(statistics) || !def(statistics.channels)) return undefined;
+  for (let i = 0; i < statistics.channels.length; i++)
+    if (statistics.channels[i].addr == addr && statistics.channels[i].channel == id) return statistics.channels[i];
+  return undefined;
+}
+
 function includes(array, value){
   for (let i=0; i<array.length; i++) {
     if(array[i] === value)
@@ -374,10 +420,36 @@ function shed(switch_status, perfect_match, channels) {
     return true;  
   }
 }
+function channelState(switch_status, addr, id) {
+  for (let i=0; i<switch_status.length; i++) {
+    if(switch_status[i].addr === addr && switch_status[i].id === id)
+      return switch_status[i].switch_state;
+  }
+  return undefined;
+}
+
+/* function localDate();
+ * Provides the device local date "YYYY-MM-DD" as the shedder derives it, offsetting the "sys" unixtime
+ * to the "sys" local time */
+function localDate() {
+  let sys = Shelly.getComponentStatus("sys");
+  let offset = (Number(sys.time.split(":")[0]) * 60 + Number(sys.time.split(":")[1]) -
+                Math.floor(sys.unixtime / 60) % 1440 + 1440) % 1440;
+  if (offset > 720) offset -= 1440;
+  return new Date((sys.unixtime + offset * 60) * 1000).toISOString().slice(0,10);
+}
+
+function backupValue(key) {
+  for (let i=0; i<KVSBackup.items.length; i++) {
+    if(KVSBackup.items[i].key === key)
+      return KVSBackup.items[i].value;
+  }
+  return undefined;
+}
 /*********************************************************************************************************/
 
 function stopScript() {
-  queueShellyCall("Script.Stop", {id: Shelly.getCurrentScriptId()});
+  queueShellyCall("Script.Stop", {id: Shelly.getCurrentScriptId()}, function() {return;});
 }
 /*********************************************************************************************************/
 /*                                         CI/CD verification                                            */
@@ -448,7 +520,7 @@ function verificationEngine() {
         case 2:
           log(LOG_INFO, "Setup INFO: Setting up KVS, simulation, etc..");
           KVSSet({fuse_rating_setting:fuse_rating_setting, fuse_char_setting:fuse_char_setting,
-                  margin_factor_setting:margin_factor_setting, cool_down_time_setting:cool_down_time_setting,
+                  margin_factor_setting:margin_factor_setting, fuse_cooling_time_constant_setting:fuse_cooling_time_constant_setting,
                   time_to_test_loading_setting:time_to_test_loading_setting, current_restriction_hysteresis_setting:current_restriction_hysteresis_setting,
                   scan_interval:target_scan_interval, log_level_setting:LOG_INFO});
           setCurrentRestriction(-1);
@@ -700,7 +772,7 @@ function verificationEngine() {
           break;
         }
         if(load_status.overLoadTime == -1){
-          log(LOG_ERROR, "1.45*In overload test ERROR: Overload was expected but was not reported"
+          log(LOG_ERROR, "1.45*In overload test ERROR: Overload was expected but was not reported");
           stopScript(true);
           verification_phase = -1;
           break;
@@ -740,7 +812,7 @@ function verificationEngine() {
             break;
         }        
         if(switch_status.some(function(sw){return (sw.switchState == "off" && sw.shed) ? true:false})) {
-          log(LOG_ERROR, "1.45*In shed test ERROR: Unexpected early shedding happened"
+          log(LOG_ERROR, "1.45*In shed test ERROR: Unexpected early shedding happened");
           stopScript(true);
           verification_phase = -1;
           break;
@@ -781,7 +853,7 @@ function verificationEngine() {
         log(LOG_INFO, "1.45*In shed test INFO: Setting current to [0,0,0,0] and waiting for fuse to cool down and shedding to de-activate");
         setSimulatedCurrent([0,0,0,0]);
       }
-      if (verification_sub_phase > ~~(1.2*10) + cool_down_time_setting*1.2) {
+      if (verification_sub_phase > ~~(1.2*10) + cool_down_time*1.2) {
         if(!def(switch_status)) {
           log(LOG_ERROR, "1.45*In shed test ERROR: Could not obtain switch status");
           stopScript(true);
@@ -807,7 +879,7 @@ function verificationEngine() {
       verification_sub_phase++;
       break;
 
-//TC-6: Subsequent overloads @ load: 1.45*In
+//TC-6: Subsequent overloads @ load: 1.13*In and 1.45*In, the fuse heat from an overload is remembered
     case 6:
       if(waitTimer(0, 1)) return;
       if (!(verification_sub_phase % 2)){
@@ -815,78 +887,109 @@ function verificationEngine() {
         getLoadStatus(function(result, error_code, error_message){load_status=result});
       }
       if (verification_sub_phase == 0) {
-        log(LOG_INFO, "============= Running subsequent overloads @ Load: 1.13*In =============");
+        log(LOG_INFO, "============= Running subsequent overloads @ Load: 1.13*In and 1.45*In =============");
         verification_current_vector = [fuse_rating_setting*1.13/4,fuse_rating_setting*1.13/4,
                                        fuse_rating_setting*1.13/4,fuse_rating_setting*1.13/4];
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: Changing simulated current to 1.13*In over-load " + verification_current_vector);
+        log(LOG_INFO, "Subsequent over-load test INFO: Changing simulated current to 1.13*In " + verification_current_vector);
         setSimulatedCurrent(verification_current_vector);
       }
       if (verification_sub_phase == 4) {
         if(!noShed(switch_status)) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Did not expect shedding but got some: " + JSON.stringify(switch_status));
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Did not expect shedding at 1.13*In but got some: " + JSON.stringify(switch_status));
           stopScript(true);
           verification_phase = -1;
           break;         
         }
-        if(load_status.coolDownTimeRemaining <= 0 || load_status.overLoadTime != -1) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Expected coolDownTimeRemaining to be > 0 and overLoadTime to be == -1, but got: " + JSON.stringify(load_status));
+        if(load_status.coolDownTimeRemaining != -1 || load_status.overLoadTime != -1) {
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Expected a cold fuse at 1.13*In with coolDownTimeRemaining and overLoadTime == -1, but got: " + JSON.stringify(load_status));
           stopScript(true);
           verification_phase = -1;
           break;             
         }
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: Did not expect shedding and didnt get any: " + JSON.stringify(switch_status));        
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: setting current to [0,0,0,0]");
-        setSimulatedCurrent([0,0,0,0]);
+        log(LOG_INFO, "Subsequent over-load test INFO: 1.13*In did not heat the fuse as expected: " + JSON.stringify(load_status));        
+        verification_current_vector = [fuse_rating_setting*1.45/4,fuse_rating_setting*1.45/4,
+                                       fuse_rating_setting*1.45/4,fuse_rating_setting*1.45/4];
+        getTripTime(fuse_rating_setting*1.45, function(result, error_code, error_message) {verification_trip_data = result});
+        log(LOG_INFO, "Subsequent over-load test INFO: setting current to 1.45*In for less than the shedding time of a cold fuse: " + JSON.stringify(verification_current_vector));
+        setSimulatedCurrent(verification_current_vector);
       } 
       if (verification_sub_phase == 8) {
         if(!noShed(switch_status)) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Did not expect shedding but got some: " + JSON.stringify(switch_status));
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Did not expect shedding before the shedding time of a cold fuse but got some: " + JSON.stringify(switch_status));
           stopScript(true);
           verification_phase = -1;
           break;         
         }
-        if(load_status.coolDownTimeRemaining <= 0 || load_status.overLoadTime != -1) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Expected coolDownTimeRemaining to be > 0 and overLoadTime to be == -1, but got: " + JSON.stringify(load_status));
+        if(load_status.overLoadTime == -1 || load_status.fuseHeat <= 0) {
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Expected overLoadTime to be != -1 and the fuse to heat, but got: " + JSON.stringify(load_status));
           stopScript(true);
           verification_phase = -1;
           break;             
         }
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: Did not expect shedding and didnt get any: " + JSON.stringify(switch_status));        
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: setting current to 1.13*In: " + JSON.stringify(verification_current_vector));
-        setSimulatedCurrent(verification_current_vector);
+        log(LOG_INFO, "Subsequent over-load test INFO: Over-load without shedding as expected, setting current to [0,0,0,0]");
+        setSimulatedCurrent([0,0,0,0]);
       }
       if (verification_sub_phase == 12) {
-        if(!shed(switch_status, true, [getPrioChannel(switch_status, -1)])) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Expected shedding on (and only on) channel " + getPrioChannel(switch_status, -1) + " but got: " + JSON.stringify(switch_status));
+        if(!noShed(switch_status)) {
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Did not expect shedding but got some: " + JSON.stringify(switch_status));
           stopScript(true);
           verification_phase = -1;
           break;         
         }
         if(load_status.coolDownTimeRemaining <= 0 || load_status.overLoadTime != -1) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Expected coolDownTimeRemaining to be > 0 and overLoadTime to be == -1, but got: " + JSON.stringify(load_status));
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Expected the fuse to still be warm with coolDownTimeRemaining > 0 and overLoadTime == -1, but got: " + JSON.stringify(load_status));
           stopScript(true);
           verification_phase = -1;
           break;             
         }
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: Shedding happend only at the expected channel: " + getPrioChannel(switch_status, -1));        
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: setting current to 0*In: " + JSON.stringify([0,0,0,0]) + " and waiting for fuse cooldown and channel " + getPrioChannel(switch_status, -1) + " reconnection");
+        log(LOG_INFO, "Subsequent over-load test INFO: The fuse is cooling down as expected: " + JSON.stringify(load_status));        
+        log(LOG_INFO, "Subsequent over-load test INFO: setting current to 1.45*In on the warm fuse: " + JSON.stringify(verification_current_vector));
+        setSimulatedCurrent(verification_current_vector);
+      }
+      if (verification_sub_phase == 16) {
+        if(!def(verification_trip_data) || load_status.overLoadTime == -1 ||
+           load_status.timeToShed >= verification_trip_data.tripTime/margin_factor_setting) {
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Expected the warm fuse to shed before the cold fuse shedding time " +
+                         (def(verification_trip_data) ? verification_trip_data.tripTime/margin_factor_setting : "unknown") +
+                         " seconds, but got: " + JSON.stringify(load_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;             
+        }
+        log(LOG_INFO, "Subsequent over-load test INFO: The warm fuse will shed earlier than a cold fuse as expected: " + JSON.stringify(load_status));
+      }
+      if (verification_sub_phase == 12 + Math.ceil(verification_trip_data.tripTime/margin_factor_setting)) {
+        lowest_prio_chan = 0;
+        for(let i=0; i<switch_status.length; i++) {
+          if (switch_status[i].priority > switch_status[lowest_prio_chan].priority)
+             lowest_prio_chan = i;
+        }
+        if(!shed(switch_status, true, [switch_status[lowest_prio_chan].id])) {
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Expected shedding on (and only on) channel " + switch_status[lowest_prio_chan].id +
+                         " before the cold fuse shedding time but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;         
+        }
+        log(LOG_INFO, "Subsequent over-load test INFO: Shedding happend only at the expected channel: " + switch_status[lowest_prio_chan].id);        
+        log(LOG_INFO, "Subsequent over-load test INFO: setting current to 0*In: " + JSON.stringify([0,0,0,0]) + " and waiting for fuse cooldown and channel " + switch_status[lowest_prio_chan].id + " reconnection");
         setSimulatedCurrent([0,0,0,0]);
       }
-      if (verification_sub_phase == (12 + cool_down_time_setting * 1.2)) {
+      if (verification_sub_phase == 12 + Math.ceil(verification_trip_data.tripTime/margin_factor_setting) + Math.ceil(cool_down_time * 1.2)) {
         if(!noShed(switch_status)){
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Did not expect shedding but got some: " + JSON.stringify(switch_status));
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Did not expect shedding but got some: " + JSON.stringify(switch_status));
           stopScript(true);
           verification_phase = -1;
           break;
         }
         if(load_status.coolDownTimeRemaining != -1 || load_status.overLoadTime != -1) {
-          log(LOG_ERROR, "1.13*In subsequent non shedding over-load test ERROR: Expected coolDownTimeRemaining to be == -1 and overLoadTime to be == -1, but got: " + JSON.stringify(load_status));
+          log(LOG_ERROR, "Subsequent over-load test ERROR: Expected coolDownTimeRemaining to be == -1 and overLoadTime to be == -1, but got: " + JSON.stringify(load_status));
           stopScript(true);
           verification_phase = -1;
           break;             
         }
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test INFO: Did not expect shedding and didnt get any: " + JSON.stringify(switch_status));        
-        log(LOG_INFO, "1.13*In subsequent non shedding over-load test SUCSESS: Shedding and non shedding happened when we where expecting it");        
+        log(LOG_INFO, "Subsequent over-load test INFO: Did not expect shedding and didnt get any: " + JSON.stringify(switch_status));        
+        log(LOG_INFO, "Subsequent over-load test SUCSESS: Shedding and non shedding happened when we where expecting it");        
         current = undefined;
         load_status = undefined;
         switch_status = undefined;
@@ -1046,7 +1149,7 @@ function verificationEngine() {
         log(LOG_INFO, "Subsequent Prio over-load test INFO: setting current to " + verification_current_vector);                        
         setSimulatedCurrent(verification_current_vector);
       }      
-      if (verification_sub_phase == 100) {
+      if (verification_sub_phase == 80 + 2*Math.ceil(cool_down_time*1.2)) {                 // Saturated fuse cools down, then channels reload one by one
         if(!noShed(switch_status)){
           log(LOG_ERROR, "Subsequent Prio over-load test ERROR: Did not expect shedding but got some: " + JSON.stringify(switch_status));
           stopScript(true);
@@ -1071,7 +1174,1246 @@ function verificationEngine() {
       verification_sub_phase++
       break;
 
-    default:
+//TC-9: Channels at different devices sharing the same channel id
+    case 9:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getCurrent(function(result, error_code, error_message) {current = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running duplicate channel ids @ Load: 1.45*In =============");
+        KVSSet({first_to_last_to_shed:[{addr:"remote-1", gen:2, type:"relay", id:0, shed:true, measure:true},
+                                       {addr:"remote-2", gen:2, type:"relay", id:0, shed:true, measure:true}].concat(backupValue("first_to_last_to_shed"))});
+      }
+      if (verification_sub_phase == 16) {
+        verification_current_vector = {"remote-1/0":6, "remote-2/0":7.2, "localhost/0":10, "localhost/1":0, "localhost/2":0, "localhost/3":0};
+        log(LOG_INFO, "Duplicate channel id test INFO: Changing simulated current to " + JSON.stringify(verification_current_vector));
+        setSimulatedCurrent(verification_current_vector);
+      }
+      if (verification_sub_phase == 20) {
+        if(!def(current) || !def(current.byChannel) || current.byChannel.current["remote-1/switch:0"] != 6 ||
+           current.byChannel.current["remote-2/switch:0"] != 7.2 || current.byChannel.current["localhost/switch:0"] != 10) {
+          log(LOG_ERROR, "Duplicate channel id test ERROR: Expected the id 0 channels to carry 6, 7.2 and 10 A, but got: " + JSON.stringify(current));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Duplicate channel id test INFO: The id 0 channels are measured individually: " + JSON.stringify(current.byChannel.current));
+      }
+      if (verification_sub_phase == 36) {
+        if(channelState(switch_status, "remote-1", 0) !== "off" || channelState(switch_status, "remote-2", 0) !== "on" ||
+           channelState(switch_status, "localhost", 0) !== "on") {
+          log(LOG_ERROR, "Duplicate channel id test ERROR: Expected only remote-1 channel 0 to be shedded, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        if(current.byChannel.current["remote-1/switch:0"] != 0 || current.byChannel.current["remote-2/switch:0"] != 7.2) {
+          log(LOG_ERROR, "Duplicate channel id test ERROR: Expected remote-1 channel 0 at 0 A and remote-2 channel 0 at 7.2 A, but got: " + JSON.stringify(current.byChannel));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Duplicate channel id test INFO: Only remote-1 channel 0 was shedded as expected");
+        setSimulatedCurrent({"remote-1/0":0, "remote-2/0":0, "localhost/0":0});
+        KVSSet({first_to_last_to_shed:backupValue("first_to_last_to_shed")});
+      }
+      if (verification_sub_phase == 36 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status)){
+          log(LOG_ERROR, "Duplicate channel id test ERROR: Did not expect shedding after restoring the channels but got some: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Duplicate channel id test SUCSESS: Channels sharing an id are measured and shedded individually");
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-10: Remote channels measured for real (not simulated), remote-1, remote-2 and remote-3 carry 5, 7 and 3 A
+    case 10:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getCurrent(function(result, error_code, error_message) {current = result});
+      }
+      if (verification_sub_phase == 0 && !emulated_network) {
+        log(LOG_INFO, "Remote channel test SKIPPED: remote-1, remote-2 and remote-3 are only provided by the emulator");
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running remote channels @ Load: 15 A =============");
+        KVSSet({first_to_last_to_shed:[{addr:"remote-3", gen:2, type:"relay", id:0, shed:true, measure:true},
+                                       {addr:"remote-2", gen:2, type:"relay", id:0, shed:true, measure:true},
+                                       {addr:"remote-1", gen:2, type:"relay", id:0, shed:true, measure:true}].concat(backupValue("first_to_last_to_shed"))});
+        setSimulation(false);
+      }
+      if (verification_sub_phase == 20) {
+        if(!def(current) || current.total != 15) {
+          log(LOG_ERROR, "Remote channel test ERROR: Expected the remote channels to carry 15 A, but got: " + JSON.stringify(current));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Remote channel test INFO: Restricting the current to 12 A");
+        setCurrentRestriction(12);
+      }
+      if (verification_sub_phase == 30) {
+        if(channelState(switch_status, "remote-3", 0) !== "off" || channelState(switch_status, "remote-2", 0) !== "on" ||
+           channelState(switch_status, "remote-1", 0) !== "on") {
+          log(LOG_ERROR, "Remote channel test ERROR: Expected only remote-3 to be shedded at 15 A > 12 A, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        if(current.total != 12) {
+          log(LOG_ERROR, "Remote channel test ERROR: Expected 12 A after shedding remote-3, but got: " + JSON.stringify(current));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Remote channel test INFO: Only remote-3 was shedded as expected, restricting the current to 8 A");
+        setCurrentRestriction(8);
+      }
+      if (verification_sub_phase == 40) {
+        if(channelState(switch_status, "remote-3", 0) !== "off" || channelState(switch_status, "remote-2", 0) !== "off" ||
+           channelState(switch_status, "remote-1", 0) !== "on") {
+          log(LOG_ERROR, "Remote channel test ERROR: Expected remote-3 and remote-2 to be shedded at 12 A > 8 A, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Remote channel test INFO: Restricting the current to 13 A, only remote-2 fits after test loading");
+        setCurrentRestriction(13);
+      }
+      if (verification_sub_phase == 40 + Math.ceil(time_to_test_loading_setting*1.2/(3*scan_interval)) - 1)
+        getStatistics(function(result, error_code, error_message) {statistics = result});
+      if (verification_sub_phase == 40 + Math.ceil(time_to_test_loading_setting*1.2/(3*scan_interval))) {
+        if(channelState(switch_status, "remote-3", 0) !== "off" || channelState(switch_status, "remote-2", 0) !== "on" ||
+           channelState(switch_status, "remote-1", 0) !== "on") {
+          log(LOG_ERROR, "Remote channel test ERROR: Expected remote-2 to be test loaded and remote-3 to stay shedded at 13 A, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        if(!def(channelStatistics(statistics, "remote-3", 0)) || channelStatistics(statistics, "remote-3", 0).shedCount != 1 ||
+           !def(channelStatistics(statistics, "remote-2", 0)) || channelStatistics(statistics, "remote-2", 0).testLoads != 1) {
+          log(LOG_ERROR, "Remote channel test ERROR: Expected one test load of remote-2 and no reloading of remote-3, but got: " + JSON.stringify(statistics));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Remote channel test INFO: Loading did not oscillate");
+        statistics = undefined;
+        setCurrentRestriction(-1);
+        setSimulation(true);
+        KVSSet({first_to_last_to_shed:backupValue("first_to_last_to_shed")});
+      }
+      if (verification_sub_phase == 40 + Math.ceil(time_to_test_loading_setting*1.2/(3*scan_interval)) + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status)){
+          log(LOG_ERROR, "Remote channel test ERROR: Did not expect shedding after restoring the channels but got some: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Remote channel test SUCSESS: Remote channel readings taken before shedding or loading were not accounted");
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-11: Power restriction @ 4*2 A = 1840 W
+    case 11:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getCurrent(function(result, error_code, error_message) {current = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running power restriction @ Load: 1840 W =============");
+        shedderRequest("setPowerRestriction=abc", function(result, error_code, error_message) {response = result});
+      }
+      if (verification_sub_phase == 2) {
+        if(!def(response) || response.code != 400) {
+          log(LOG_ERROR, "Power restriction test ERROR: Expected a non numeric power restriction to be rejected with 400, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Power restriction test INFO: A non numeric power restriction was rejected");
+        response = undefined;
+        setSimulatedCurrent([2,2,2,2]);
+      }
+      if (verification_sub_phase == 6) {
+        if(!def(current) || current.power != 1840 || !noShed(switch_status)) {
+          log(LOG_ERROR, "Power restriction test ERROR: Expected 1840 W without shedding, but got: " + JSON.stringify(current));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Power restriction test INFO: Restricting the power to 1500 W");
+        shedderRequest("setPowerRestriction=1500");
+      }
+      if (verification_sub_phase == 16) {
+        if(!shed(switch_status, true, [3]) || current.power != 1380) {
+          log(LOG_ERROR, "Power restriction test ERROR: Expected channel 3 to be shedded down to 1380 W, but got: " +
+                         JSON.stringify(current) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Power restriction test INFO: Channel 3 was shedded as expected, lifting the power restriction");
+        shedderRequest("setPowerRestriction=-1");
+      }
+      if (verification_sub_phase == 26) {
+        if(!noShed(switch_status)){
+          log(LOG_ERROR, "Power restriction test ERROR: Expected channel 3 to be reloaded after lifting the power restriction, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Power restriction test SUCSESS: The power restriction was enforced and lifted");
+        setSimulatedCurrent([0,0,0,0]);
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-12: MQTT commands and status
+    case 12:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0 && !MQTT.isConnected()) {
+        log(LOG_INFO, "MQTT test SKIPPED: No MQTT broker connected");
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running MQTT commands =============");
+        KVSSet({mqtt_topic_setting:"shedder/ci"});
+        MQTT.subscribe("shedder/ci/response/+", function(topic, message) {
+          mqtt_responses[topic.split("/")[topic.split("/").length - 1]] = JSON.parse(message);
+        });
+        MQTT.subscribe("shedder/ci/status", function(topic, message) {mqtt_status = JSON.parse(message)});
+      }
+      if (verification_sub_phase == 16) {
+        if(!def(mqtt_status)) {
+          log(LOG_ERROR, "MQTT test ERROR: Expected the status to be published to shedder/ci/status");
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "MQTT test INFO: Ordering a current restriction with an injected query parameter");
+        MQTT.publish("shedder/ci/command/setCurrentRestriction", "10&setPowerRestriction=100", 0, false);
+      }
+      if (verification_sub_phase == 18) {
+        if(!def(mqtt_responses.setCurrentRestriction) || mqtt_responses.setCurrentRestriction.code != 400) {
+          log(LOG_ERROR, "MQTT test ERROR: Expected a current restriction with an injected query parameter to be rejected with 400, but got: " +
+                         JSON.stringify(mqtt_responses.setCurrentRestriction));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        mqtt_responses = {};
+        MQTT.publish("shedder/ci/command/setPowerRestriction", "abc", 0, false);
+      }
+      if (verification_sub_phase == 20) {
+        if(!def(mqtt_responses.setPowerRestriction) || mqtt_responses.setPowerRestriction.code != 400) {
+          log(LOG_ERROR, "MQTT test ERROR: Expected a non numeric power restriction to be rejected with 400, but got: " +
+                         JSON.stringify(mqtt_responses.setPowerRestriction));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        mqtt_responses = {};
+        MQTT.publish("shedder/ci/command/setCurrentRestriction", "10", 0, false);
+      }
+      if (verification_sub_phase == 26) {
+        if(!def(mqtt_responses.setCurrentRestriction) || mqtt_responses.setCurrentRestriction.code != 200 ||
+           mqtt_status.currentRestriction != 10 || mqtt_status.powerRestriction != -1) {
+          log(LOG_ERROR, "MQTT test ERROR: Expected the current restriction 10 A and no power restriction, but got: " +
+                         JSON.stringify(mqtt_responses.setCurrentRestriction) + " " + JSON.stringify(mqtt_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "MQTT test SUCSESS: MQTT commands were run with the message as their value only");
+        mqtt_responses = {};
+        mqtt_status = undefined;
+        MQTT.unsubscribe("shedder/ci/response/+");
+        MQTT.unsubscribe("shedder/ci/status");
+        setCurrentRestriction(-1);
+        KVSSet({mqtt_topic_setting:""});
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-13: Status webhooks
+    case 13:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0 && !emulated_network) {
+        log(LOG_INFO, "Webhook test SKIPPED: webhook-sink and failing-sink are only provided by the emulator");
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running status webhooks =============");
+        KVSSet({hostname_setting:"ci", status_webhook_uri_setting:"http://webhook-sink"});
+      }
+      if (verification_sub_phase == 20 || verification_sub_phase == 20 + 70)
+        shedderRequest("getWebhookStatus", function(result, error_code, error_message) {
+          response = def(result) ? JSON.parse(result.body).webhookStatus : undefined;
+        });
+      if (verification_sub_phase == 22) {
+        if(!def(response) || response.delivered < 1 || response.lastError != "") {
+          log(LOG_ERROR, "Webhook test ERROR: Expected the status to be delivered to webhook-sink, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Webhook test INFO: The status was delivered, redirecting the webhooks to a failing sink");
+        response = undefined;
+        KVSSet({status_webhook_uri_setting:"http://failing-sink"});
+      }
+      if (verification_sub_phase == 22 + 70) {
+        if(!def(response) || response.lastError != "HTTP status 500" || response.retries < 1) {
+          log(LOG_ERROR, "Webhook test ERROR: Expected the failing deliveries to be retried with the error HTTP status 500, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Webhook test SUCSESS: The status webhooks were delivered and failed deliveries retried");
+        response = undefined;
+        KVSSet({hostname_setting:"", status_webhook_uri_setting:""});
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-14: Price restriction @ 4*2 A, the price rule restricts to 6 A above the price 1
+    case 14:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getLoadStatus(function(result, error_code, error_message) {load_status = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running price restriction @ Load: 4*2 A =============");
+        KVSSet({price_restriction_rules_setting:[{above:1, restriction:6}]});
+        setSimulatedCurrent([2,2,2,2]);
+      }
+      if (verification_sub_phase == 16)
+        shedderRequest("setPriceForecast=[2,2]", function(result, error_code, error_message) {
+          response = def(result) && result.code == 200 ? JSON.parse(result.body).priceForecast : undefined;
+        });
+      if (verification_sub_phase == 18) {
+        if(!def(response) || response.priceRestriction != 6) {
+          log(LOG_ERROR, "Price restriction test ERROR: Expected the price forecast to restrict the current to 6 A, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        response = undefined;
+        queueShellyCall("KVS.Get", {key:"price_forecast"}, function(result, error_code, error_message) {
+          response = error_code == 0 ? result.value : undefined;
+        });
+      }
+      if (verification_sub_phase == 20) {
+        if(!def(response) || JSON.stringify(response.prices) != "[2,2]") {
+          log(LOG_ERROR, "Price restriction test ERROR: Expected the price forecast to be persisted in the KVS, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Price restriction test INFO: The price forecast was persisted in the KVS");
+      }
+      if (verification_sub_phase == 26) {
+        if(!shed(switch_status, true, [3]) || load_status.priceRestriction != 6) {
+          log(LOG_ERROR, "Price restriction test ERROR: Expected channel 3 to be shedded by the 6 A price restriction, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Price restriction test INFO: Channel 3 was shedded as expected, lowering the prices in the KVS");
+        response.prices = [0,0];
+        KVSSet({price_forecast:response});
+      }
+      if (verification_sub_phase == 26 + 16 + 10) {
+        if(!noShed(switch_status) || load_status.priceRestriction != -1) {
+          log(LOG_ERROR, "Price restriction test ERROR: Expected the price forecast read from the KVS to lift the price restriction, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Price restriction test SUCSESS: The price forecast was enforced, persisted and restored from the KVS");
+        response = undefined;
+        setSimulatedCurrent([0,0,0,0]);
+        KVSSet({price_restriction_rules_setting:backupValue("price_restriction_rules_setting")});
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-15: Configuration transactions
+    case 15:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running configuration transactions =============");
+        shedderRequest("setConfig", function(result, error_code, error_message) {response = result},
+                       JSON.stringify({fuse_rating_setting:0, time_to_test_loading_setting:100}));
+      }
+      if (verification_sub_phase == 2) {
+        if(!def(response) || response.code != 400) {
+          log(LOG_ERROR, "Configuration test ERROR: Expected an invalid configuration to be rejected with 400, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        response = undefined;
+        shedderRequest("setConfig", function(result, error_code, error_message) {response = result},
+                       JSON.stringify({fuse_rating_setting:20, time_to_test_loading_setting:100}));
+      }
+      if (verification_sub_phase == 4) {
+        if(!def(response) || response.code != 200 || !JSON.parse(response.body).setConfig.applied) {
+          log(LOG_ERROR, "Configuration test ERROR: Expected the configuration to be applied, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        response = undefined;
+        queueShellyCall("KVS.GetMany", {match:"*"}, function(result, error_code, error_message) {response = result});
+      }
+      if (verification_sub_phase == 6) {
+        let persisted = {};
+        for (let i = 0; def(response) && i < response.items.length; i++)
+          persisted[response.items[i].key] = response.items[i].value;
+        if(persisted.fuse_rating_setting != 20 || persisted.time_to_test_loading_setting != 100 || def(persisted.config_pending)) {
+          log(LOG_ERROR, "Configuration test ERROR: Expected the settings persisted and no staged configuration left, but got: " + JSON.stringify(persisted));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Configuration test INFO: The configuration was applied and persisted, staging an interrupted transaction");
+        response = undefined;
+        queueShellyCall("KVS.Set", {key:"config_pending", value:{fuse_rating_setting:backupValue("fuse_rating_setting"),
+                                                                 time_to_test_loading_setting:backupValue("time_to_test_loading_setting")}},
+                        function(result, error_code, error_message) {});
+      }
+      if (verification_sub_phase == 6 + 16)
+        queueShellyCall("KVS.GetMany", {match:"*"}, function(result, error_code, error_message) {response = result});
+      if (verification_sub_phase == 6 + 18) {
+        let persisted = {};
+        for (let i = 0; def(response) && i < response.items.length; i++)
+          persisted[response.items[i].key] = response.items[i].value;
+        if(persisted.fuse_rating_setting != backupValue("fuse_rating_setting") ||
+           persisted.time_to_test_loading_setting != backupValue("time_to_test_loading_setting") || def(persisted.config_pending)) {
+          log(LOG_ERROR, "Configuration test ERROR: Expected the interrupted transaction to be completed, but got: " + JSON.stringify(persisted));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Configuration test SUCSESS: The configuration transactions were applied as a whole");
+        response = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-16: Custom and built-in trip curves @ 2*In
+    case 16:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase % 18 == 16)
+        getTripTime(fuse_rating_setting*2, function(result, error_code, error_message) {verification_trip_data = result});
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running trip curves @ Load: 2*In =============");
+        KVSSet({fuse_custom_trip_curve_setting:[[1.13,-1],[1.45,60],[2,8],[3,2.5],[5,0]]});
+      }
+      if (verification_sub_phase == 18) {
+        if(!def(verification_trip_data) || verification_trip_data.tripCurve != "custom" || verification_trip_data.tripTime != 8) {
+          log(LOG_ERROR, "Trip curve test ERROR: Expected the custom curve to trip after 8 seconds at 2*In, but got: " + JSON.stringify(verification_trip_data));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Trip curve test INFO: The custom trip curve is in effect, setting a curve with an increasing trip time");
+        KVSSet({fuse_custom_trip_curve_setting:[[1,5],[2,10]]});
+      }
+      if (verification_sub_phase == 36) {
+        if(verification_trip_data.tripCurve != "custom" || verification_trip_data.tripTime != 8) {
+          log(LOG_ERROR, "Trip curve test ERROR: Expected an invalid custom curve to be rejected and the previous curve kept, but got: " + JSON.stringify(verification_trip_data));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Trip curve test INFO: The invalid curve was rejected, selecting the built-in IEC60898 K curve");
+        KVSSet({fuse_custom_trip_curve_setting:[], fuse_standard_setting:"IEC60898", fuse_char_setting:"K"});
+      }
+      if (verification_sub_phase == 54) {
+        if(verification_trip_data.tripCurve != "IEC60898 K") {
+          log(LOG_ERROR, "Trip curve test ERROR: Expected the built-in IEC60898 K curve, but got: " + JSON.stringify(verification_trip_data));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Trip curve test INFO: The IEC60898 K curve was selected, restoring the fuse settings");
+        KVSSet({fuse_standard_setting:backupValue("fuse_standard_setting"), fuse_char_setting:backupValue("fuse_char_setting")});
+      }
+      if (verification_sub_phase == 72) {
+        if(verification_trip_data.tripCurve != backupValue("fuse_standard_setting") + " " + backupValue("fuse_char_setting")) {
+          log(LOG_ERROR, "Trip curve test ERROR: Expected the restored trip curve, but got: " + JSON.stringify(verification_trip_data));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Trip curve test SUCSESS: Custom and built-in trip curves were selected as configured");
+        verification_trip_data = 0;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-17: Unreachable remote channel policies, remote-4 is offline
+    case 17:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getLoadStatus(function(result, error_code, error_message) {load_status = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running unreachable channel policies =============");
+        KVSSet({first_to_last_to_shed:[{addr:"remote-4", gen:2, type:"relay", id:0, shed:true, measure:true,
+                                        on_unreachable:"shed_local"}].concat(backupValue("first_to_last_to_shed"))});
+        setSimulation(false);
+      }
+      if (verification_sub_phase == 30) {
+        if(load_status.groupState != "degraded" || load_status.degradedChannels.length != 1 ||
+           load_status.degradedChannels[0].addr != "remote-4" || load_status.degradedChannels[0].policy != "shed_local" ||
+           !shed(switch_status, false, [3])) {
+          log(LOG_ERROR, "Unreachable channel test ERROR: Expected the unreachable remote-4 to degrade the group and local channel 3 to be shedded in its place, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Unreachable channel test INFO: Local channel 3 was shedded in place of remote-4, reducing the budget instead");
+        KVSSet({first_to_last_to_shed:[{addr:"remote-4", gen:2, type:"relay", id:0, shed:true, measure:true,
+                                        on_unreachable:"reduce_budget", unreachable_budget:5}].concat(backupValue("first_to_last_to_shed"))});
+      }
+      if (verification_sub_phase == 50) {
+        if(load_status.groupState != "degraded" || load_status.degradedChannels.length != 1 ||
+           load_status.degradedChannels[0].policy != "reduce_budget" || load_status.phases.a.budgetReduction != 5) {
+          log(LOG_ERROR, "Unreachable channel test ERROR: Expected the unreachable remote-4 to reduce the budget by 5 A, but got: " + JSON.stringify(load_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Unreachable channel test INFO: The budget was reduced by 5 A, restoring the channels");
+        setSimulation(true);
+        KVSSet({first_to_last_to_shed:backupValue("first_to_last_to_shed")});
+      }
+      if (verification_sub_phase == 50 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status) || load_status.groupState != "normal"){
+          log(LOG_ERROR, "Unreachable channel test ERROR: Expected the group to recover without shedding after restoring the channels, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Unreachable channel test SUCSESS: The unreachable channel policies were applied");
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-18: Restriction schedule @ 4*2 A, scheduled all day to 6 A
+    case 18:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getLoadStatus(function(result, error_code, error_message) {load_status = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running restriction schedule @ Load: 4*2 A =============");
+        KVSSet({restriction_schedule_setting:{weekly:[{from:"00:00", to:"24:00", restriction:6}], exceptions:[]}});
+        setSimulatedCurrent([2,2,2,2]);
+      }
+      if (verification_sub_phase == 30) {
+        if(load_status.restrictionSource != "schedule" || load_status.activeRestriction != 6 || !shed(switch_status, true, [3])) {
+          log(LOG_ERROR, "Schedule test ERROR: Expected the scheduled 6 A restriction to shed channel 3, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Schedule test INFO: Channel 3 was shedded by the schedule, adding an exception without restrictions for today");
+        KVSSet({restriction_schedule_setting:{weekly:[{from:"00:00", to:"24:00", restriction:6}],
+                                              exceptions:[{date:localDate(), entries:[]}]}});
+      }
+      if (verification_sub_phase == 50) {
+        if(load_status.restrictionSource != "none" || load_status.scheduleEntry !== null || !noShed(switch_status)) {
+          log(LOG_ERROR, "Schedule test ERROR: Expected today's exception to lift the scheduled restriction, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Schedule test SUCSESS: The schedule and its exception were applied");
+        setSimulatedCurrent([0,0,0,0]);
+        KVSSet({restriction_schedule_setting:backupValue("restriction_schedule_setting")});
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-19: Metrics endpoint @ 4*2 A
+    case 19:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running metrics @ Load: 4*2 A =============");
+        setSimulatedCurrent([2,2,2,2]);
+      }
+      if (verification_sub_phase == 4)
+        shedderRequest("metrics", function(result, error_code, error_message) {response = result});
+      if (verification_sub_phase == 6) {
+        if(!def(response) || response.code != 200 || response.body.indexOf("\nshedder_current_amperes 8\n") == -1 ||
+           response.body.indexOf("\nshedder_channel_current_amperes{channel=\"3\",addr=\"localhost\"} 2\n") == -1 ||
+           response.body.indexOf("\nshedder_channel_switch_state{channel=\"3\",addr=\"localhost\"} 1\n") == -1 ||
+           response.body.slice(-6) != "# EOF\n") {
+          log(LOG_ERROR, "Metrics test ERROR: Expected the metrics to expose 8 A in total and 2 A on channel 3, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Metrics test SUCSESS: The metrics exposed the measured currents and switch states");
+        response = undefined;
+        setSimulatedCurrent([0,0,0,0]);
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-20: Event log @ 4*2 A, restricted to 7 A
+    case 20:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2))
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running event log @ Load: 4*2 A =============");
+        shedderRequest("getEventLog&limit=abc", function(result, error_code, error_message) {response = result});
+      }
+      if (verification_sub_phase == 2) {
+        if(!def(response) || response.code != 400) {
+          log(LOG_ERROR, "Event log test ERROR: Expected an invalid limit to be rejected with 400, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        response = undefined;
+        setSimulatedCurrent([2,2,2,2]);
+        setCurrentRestriction(7);
+      }
+      if (verification_sub_phase == 12)
+        shedderRequest("getEventLog&limit=5", function(result, error_code, error_message) {
+          response = def(result) && result.code == 200 ? JSON.parse(result.body).eventLog : undefined;
+        });
+      if (verification_sub_phase == 14) {
+        let shed_event = undefined;
+        let restriction_event = undefined;
+        for (let i = 0; def(response) && i < response.events.length; i++) {
+          if (response.events[i].type == "shed") shed_event = response.events[i];
+          if (response.events[i].type == "restriction_change") restriction_event = response.events[i];
+        }
+        if(!def(response) || response.events.length > 5 || !def(shed_event) || shed_event.channel != 3 ||
+           shed_event.addr != "localhost" || shed_event.current != 8 || !def(restriction_event)) {
+          log(LOG_ERROR, "Event log test ERROR: Expected the restriction change and the shedding of channel 3 at 8 A to be logged, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Event log test INFO: The restriction change and the shedding were logged, lifting the restriction");
+        response = undefined;
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+      }
+      if (verification_sub_phase == 24) {
+        if(!noShed(switch_status)) {
+          log(LOG_ERROR, "Event log test ERROR: Expected channel 3 to be reloaded after lifting the restriction, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Event log test SUCSESS: The events were logged and queried");
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-21: Channel statistics @ 4*2 A, restricted to 7 A for a while, persisted every 900 s
+    case 21:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running channel statistics @ Load: 4*2 A =============");
+        shedderRequest("getStatistics&reset=true");
+        KVSSet({statistics_persist_interval_setting:900});
+        setSimulatedCurrent([2,2,2,2]);
+        setCurrentRestriction(7);
+      }
+      if (verification_sub_phase == 10) {
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+      }
+      if (verification_sub_phase == 20)
+        getStatistics(function(result, error_code, error_message) {statistics = result});
+      if (verification_sub_phase == 22) {
+        if(!def(channelStatistics(statistics, "localhost", 3)) || channelStatistics(statistics, "localhost", 3).shedCount != 1 ||
+           !(channelStatistics(statistics, "localhost", 3).shedTime > 0) || channelStatistics(statistics, "localhost", 2).shedCount != 0) {
+          log(LOG_ERROR, "Statistics test ERROR: Expected channel 3 to be counted as shedded once, but got: " + JSON.stringify(statistics));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Statistics test INFO: The shedding of channel 3 was counted");
+      }
+      if (verification_sub_phase == 60 || verification_sub_phase == Math.ceil(900/(3*scan_interval)) + 20)
+        queueShellyCall("KVS.Get", {key:"channel_statistics"}, function(result, error_code, error_message) {
+          response = error_code == 0 ? result.value : undefined;
+        });
+      if (verification_sub_phase == 62) {
+        if(!def(response) || (def(response.channels["localhost/switch:3"]) && response.channels["localhost/switch:3"].shed != 0)) {
+          log(LOG_ERROR, "Statistics test ERROR: Expected the statistics not to be persisted again within 900 seconds of the reset, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Statistics test INFO: The statistics were not persisted again before the persist interval elapsed");
+        response = undefined;
+      }
+      if (verification_sub_phase == Math.ceil(900/(3*scan_interval)) + 22) {
+        if(!def(response) || !def(response.channels["localhost/switch:3"]) || response.channels["localhost/switch:3"].shed != 1) {
+          log(LOG_ERROR, "Statistics test ERROR: Expected the statistics to be persisted within 900 seconds, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Statistics test SUCSESS: The channel statistics were counted and persisted");
+        response = undefined;
+        statistics = undefined;
+        KVSSet({statistics_persist_interval_setting:backupValue("statistics_persist_interval_setting")});
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-22: Energy meter channel @ 4*2 A, an em1 meter on phase a measures the group current
+    case 22:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getCurrent(function(result, error_code, error_message) {current = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running energy meter channel @ Load: 4*2 A =============");
+        KVSSet({first_to_last_to_shed:backupValue("first_to_last_to_shed").concat([{addr:"localhost", gen:2, type:"em1", id:0,
+                                                                                    shed:false, measure:true}])});
+        setSimulatedCurrent([2,2,2,2]);
+      }
+      if (verification_sub_phase == 16) {
+        if(!def(current) || current.source != "meter" || current.meters.length != 1 || current.meters[0].type != "em1" ||
+           current.meters[0].current != 8 || current.total != 8) {
+          log(LOG_ERROR, "Energy meter test ERROR: Expected the em1 meter to measure the group current of 8 A, but got: " + JSON.stringify(current));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Energy meter test INFO: The meter measures the group current, restricting the current to 7 A");
+        setCurrentRestriction(7);
+      }
+      if (verification_sub_phase == 26) {
+        if(!shed(switch_status, true, [3]) || current.meters[0].current != 6 || current.total != 6) {
+          log(LOG_ERROR, "Energy meter test ERROR: Expected channel 3 to be shedded and the meter to measure 6 A, but got: " +
+                         JSON.stringify(current) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Energy meter test INFO: Channel 3 was shedded as measured by the meter, restoring the channels");
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+        KVSSet({first_to_last_to_shed:backupValue("first_to_last_to_shed")});
+      }
+      if (verification_sub_phase == 26 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status) || current.source != "channels"){
+          log(LOG_ERROR, "Energy meter test ERROR: Did not expect shedding nor a meter after restoring the channels but got: " +
+                         JSON.stringify(current) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Energy meter test SUCSESS: The meter channel provided the group current");
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-23: Three-phase group @ 4*2 A, channel 3 on phase b, channel 2 a linked three-phase load and channels 1 and 0 on phase a
+    case 23:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getCurrent(function(result, error_code, error_message) {current = result});
+        getLoadStatus(function(result, error_code, error_message) {load_status = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running three-phase group @ Load: 4*2 A =============");
+        KVSSet({phase_fuse_rating_setting:{b:10},
+                first_to_last_to_shed:[{addr:"localhost", gen:2, type:"relay", id:3, shed:true, measure:true, phase:"b"},
+                                       {addr:"localhost", gen:2, type:"relay", id:2, shed:true, measure:true, phase:"abc"},
+                                       {addr:"localhost", gen:2, type:"relay", id:1, shed:true, measure:true, phase:"a"},
+                                       {addr:"localhost", gen:2, type:"relay", id:0, shed:false, measure:true, phase:"a"}]});
+      }
+      if (verification_sub_phase == 10)
+        setSimulatedCurrent([2,2,2,2]);
+      if (verification_sub_phase == 16) {
+        if(!def(current) || current.phases.a != 6 || current.phases.b != 4 || current.phases.c != 2 || current.total != 12 ||
+           load_status.phases.a.fuseRating != fuse_rating_setting || load_status.phases.b.fuseRating != 10) {
+          log(LOG_ERROR, "Three-phase test ERROR: Expected 6, 4 and 2 A on phase a, b and c with a 10 A fuse on phase b, but got: " +
+                         JSON.stringify(current) + " " + JSON.stringify(load_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Three-phase test INFO: The phase currents were accounted per phase, restricting the current to 5 A");
+        setCurrentRestriction(5);
+      }
+      if (verification_sub_phase == 26) {
+        if(channelState(switch_status, "localhost", 2) !== "off" || channelState(switch_status, "localhost", 3) !== "on" ||
+           channelState(switch_status, "localhost", 1) !== "on" || current.phases.a != 4 || current.phases.b != 2 || current.phases.c != 0) {
+          log(LOG_ERROR, "Three-phase test ERROR: Expected only the three-phase channel 2 to be shedded for phase a, but got: " +
+                         JSON.stringify(current) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Three-phase test INFO: The three-phase channel 2 was shedded on all phases, channel 3 on phase b was kept");
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+        KVSSet({phase_fuse_rating_setting:backupValue("phase_fuse_rating_setting"),
+                first_to_last_to_shed:backupValue("first_to_last_to_shed")});
+      }
+      if (verification_sub_phase == 26 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status)){
+          log(LOG_ERROR, "Three-phase test ERROR: Did not expect shedding after restoring the channels but got some: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Three-phase test SUCSESS: The overload logic was run per phase");
+        current = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-24: Priority override pins @ 4*2 A, channel 3 pinned on and channel 1 pinned off, restricted to 5 A
+    case 24:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2))
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running priority override pins @ Load: 4*2 A =============");
+        shedderRequest("getStatistics&reset=true");
+        setSimulatedCurrent([2,2,2,2]);
+        shedderRequest("pin=3&state=on&duration=600");
+        shedderRequest("pin=1&state=off&duration=600");
+      }
+      if (verification_sub_phase == 10)
+        setCurrentRestriction(5);
+      if (verification_sub_phase == 24)
+        getStatistics(function(result, error_code, error_message) {statistics = result});
+      if (verification_sub_phase == 26) {
+        if(channelState(switch_status, "localhost", 3) !== "on" || channelState(switch_status, "localhost", 2) !== "off" ||
+           channelState(switch_status, "localhost", 1) !== "off" || channelState(switch_status, "localhost", 0) !== "on") {
+          log(LOG_ERROR, "Pin test ERROR: Expected channel 2 to be shedded in place of the pinned on channel 3, and the pinned off channel 1 to stay off, but got: " +
+                         JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        if(!def(channelStatistics(statistics, "localhost", 1)) || channelStatistics(statistics, "localhost", 1).shedCount != 0 ||
+           channelStatistics(statistics, "localhost", 1).shedTime != 0 || channelStatistics(statistics, "localhost", 2).shedCount != 1 ||
+           channelStatistics(statistics, "localhost", 3).shedCount != 0) {
+          log(LOG_ERROR, "Pin test ERROR: Expected only channel 2 to be counted as shedded, not the pinned off channel 1, but got: " + JSON.stringify(statistics));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Pin test INFO: The pins were respected, releasing them and lifting the restriction");
+        statistics = undefined;
+        shedderRequest("unpin=all");
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+      }
+      if (verification_sub_phase == 26 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status)){
+          log(LOG_ERROR, "Pin test ERROR: Did not expect shedding after releasing the pins but got some: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Pin test SUCSESS: Channels pinned on were not shedded and channels pinned off were not loaded");
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-25: Shedding priorities @ 4*2 A, channel 2 given the least priority and persisted, restricted to 7 A
+    case 25:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2))
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running shedding priorities @ Load: 4*2 A =============");
+        shedderRequest("setPriorities=%5Blocalhost%2F2%2C3%2C1%2C0%5D&persist=true",
+                       function(result, error_code, error_message) {response = result});
+      }
+      if (verification_sub_phase == 2) {
+        if(!def(response) || response.code != 200 ||
+           JSON.stringify(JSON.parse(response.body).priorities.new) != JSON.stringify(["localhost/2","localhost/3","localhost/1","localhost/0"])) {
+          log(LOG_ERROR, "Priority test ERROR: Expected the percent-encoded order [localhost/2,3,1,0] to be accepted, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        response = undefined;
+        queueShellyCall("KVS.Get", {key:"first_to_last_to_shed"}, function(result, error_code, error_message) {
+          response = error_code == 0 ? result.value : undefined;
+        });
+      }
+      if (verification_sub_phase == 4) {
+        if(!def(response) || JSON.stringify(response.map(function(o) {return o.id})) != "[2,3,1,0]") {
+          log(LOG_ERROR, "Priority test ERROR: Expected the order [2,3,1,0] to be persisted in the KVS, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Priority test INFO: The order was persisted, restricting the current to 7 A");
+        response = undefined;
+        setSimulatedCurrent([2,2,2,2]);
+        setCurrentRestriction(7);
+      }
+      if (verification_sub_phase == 20) {
+        if(!shed(switch_status, true, [2])) {
+          log(LOG_ERROR, "Priority test ERROR: Expected channel 2 with the least priority to be shedded, but got: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Priority test INFO: Channel 2 was shedded as expected, restoring the priorities");
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+        KVSSet({first_to_last_to_shed:backupValue("first_to_last_to_shed")});
+      }
+      if (verification_sub_phase == 20 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status)){
+          log(LOG_ERROR, "Priority test ERROR: Did not expect shedding after restoring the priorities but got some: " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Priority test SUCSESS: The shedding priorities were changed and persisted");
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-26: Hourly average power cap @ 3*2 A = 1380 W, capped to 100 W with at least 900 s left of the hour
+    case 26:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getLoadStatus(function(result, error_code, error_message) {load_status = result});
+      }
+      if (verification_sub_phase == 0 && Shelly.getComponentStatus("sys").unixtime % 3600 > 3600 - 900)
+        return;
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running hourly average power cap @ Load: 1380 W =============");
+        KVSSet({hourly_power_cap_setting:100});
+        setSimulatedCurrent([0,2,2,2]);
+      }
+      if (verification_sub_phase == 30) {
+        if(!shed(switch_status, true, [1,2,3]) || load_status.runningHour.cap != 100 ||
+           !(load_status.runningHour.allowedPower < 460) || load_status.power != 0) {
+          log(LOG_ERROR, "Hourly power cap test ERROR: Expected channels 3, 2 and 1 to be shedded to keep the hourly average under 100 W, but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Hourly power cap test INFO: The channels were shedded by priority, lifting the cap");
+        KVSSet({hourly_power_cap_setting:backupValue("hourly_power_cap_setting")});
+      }
+      if (verification_sub_phase == 30 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status) || load_status.runningHour.allowedPower != -1){
+          log(LOG_ERROR, "Hourly power cap test ERROR: Expected the channels to be re-loaded after lifting the cap but got: " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Hourly power cap test SUCSESS: The projected hourly average was kept under the cap");
+        setSimulatedCurrent([0,0,0,0]);
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-27: Monthly peaks, two peaks of 3000 and 2000 W billed, capped to 100 W
+    case 27:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running monthly peaks =============");
+        let hour = Shelly.getComponentStatus("sys").unixtime - Shelly.getComponentStatus("sys").unixtime % 3600;
+        KVSSet({monthly_peaks_count_setting:2, hourly_power_cap_setting:100});
+        queueShellyCall("KVS.Set", {key:"monthly_peaks", value:{month:localDate().slice(0,7),
+                                                                 peaks:[{start:hour - 7200, average:3000}, {start:hour - 3600, average:2000}]}},
+                        function(result, error_code, error_message) {});
+      }
+      if (verification_sub_phase == 16)
+        shedderRequest("getMonthlyPeaks", function(result, error_code, error_message) {
+          response = def(result) && result.code == 200 ? JSON.parse(result.body).monthlyPeaks : undefined;
+        });
+      if (verification_sub_phase == 18) {
+        if(!def(response) || response.count != 2 || response.peaks.length != 2 || response.peaks[1].average != 2000 ||
+           response.hourlyCap != 2000) {
+          log(LOG_ERROR, "Monthly peaks test ERROR: Expected the 2nd highest peak of 2000 W to raise the hourly cap, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Monthly peaks test INFO: The hourly cap was raised to the 2nd highest peak, resetting the peaks");
+        response = undefined;
+        shedderRequest("resetMonthlyPeaks", function(result, error_code, error_message) {
+          response = def(result) && result.code == 200 ? JSON.parse(result.body).monthlyPeaks : undefined;
+        });
+      }
+      if (verification_sub_phase == 20) {
+        if(!def(response) || response.peaks.length != 0 || response.hourlyCap != 100) {
+          log(LOG_ERROR, "Monthly peaks test ERROR: Expected the reset to clear the peaks and restore the 100 W cap, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        response = undefined;
+        queueShellyCall("KVS.Get", {key:"monthly_peaks"}, function(result, error_code, error_message) {
+          response = error_code == 0 ? result.value : undefined;
+        });
+      }
+      if (verification_sub_phase == 22) {
+        if(!def(response) || response.peaks.length != 0) {
+          log(LOG_ERROR, "Monthly peaks test ERROR: Expected the reset peaks to be persisted in the KVS, but got: " + JSON.stringify(response));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Monthly peaks test SUCSESS: The monthly peaks set the hourly cap and were reset");
+        response = undefined;
+        KVSSet({monthly_peaks_count_setting:backupValue("monthly_peaks_count_setting"),
+                hourly_power_cap_setting:backupValue("hourly_power_cap_setting")});
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-28: Home Assistant MQTT discovery of the group and its 4 channels, removed when disabled
+    case 28:
+      if(waitTimer(0, 1)) return;
+      if (verification_sub_phase == 0 && !MQTT.isConnected()) {
+        log(LOG_INFO, "Discovery test SKIPPED: No MQTT broker connected");
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running Home Assistant discovery =============");
+        mqtt_discovery = {};
+        MQTT.subscribe("ci_discovery/#", function(topic, message) {mqtt_discovery[topic] = message});
+        KVSSet({mqtt_topic_setting:"shedder/ci", mqtt_discovery_prefix_setting:"ci_discovery"});
+      }
+      if (verification_sub_phase == 16) {
+        let topics = Object.keys(mqtt_discovery);
+        let shed = mqtt_discovery["ci_discovery/binary_sensor/shedder_ci/channel_localhost_3_shed/config"];
+        if(topics.length != 12 || !def(mqtt_discovery["ci_discovery/sensor/shedder_ci/current/config"]) ||
+           !def(shed) || JSON.parse(shed).state_topic != "shedder/ci/status" ||
+           JSON.parse(shed).unique_id != "shedder_ci_channel_localhost_3_shed") {
+          log(LOG_ERROR, "Discovery test ERROR: Expected 12 discovery configs for the group and its 4 channels, but got: " +
+                         JSON.stringify(topics));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "Discovery test INFO: The discovery configs were published, disabling the discovery");
+        KVSSet({mqtt_discovery_prefix_setting:""});
+      }
+      if (verification_sub_phase == 32) {
+        let topics = Object.keys(mqtt_discovery);
+        for (let i = 0; i < topics.length; i++) {
+          if (mqtt_discovery[topics[i]] != "") {
+            log(LOG_ERROR, "Discovery test ERROR: Expected the discovery config " + topics[i] + " to be removed, but got: " +
+                           mqtt_discovery[topics[i]]);
+            stopScript(true);
+            verification_phase = -1;
+            break;
+          }
+        }
+        if (verification_phase == -1) break;
+        log(LOG_INFO, "Discovery test SUCSESS: The discovery configs were published and removed");
+        MQTT.unsubscribe("ci_discovery/#");
+        mqtt_discovery = {};
+        KVSSet({mqtt_topic_setting:"", mqtt_discovery_prefix_setting:backupValue("mqtt_discovery_prefix_setting")});
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+ //TC-29: KVS settings validation @ 4*2 A, an invalid fuse rating and scan interval are rejected and the current ones kept
+    case 29:
+      if(waitTimer(0, 1)) return;
+      if (!(verification_sub_phase % 2)){
+        getSwitchStatus(function(result, error_code, error_message) {switch_status = result});
+        getLoadStatus(function(result, error_code, error_message) {load_status = result});
+      }
+      if (verification_sub_phase == 0) {
+        log(LOG_INFO, "============= Running KVS settings validation @ Load: 4*2 A =============");
+        KVSSet({fuse_rating_setting:"16A", scan_interval:0});
+        setSimulatedCurrent([2,2,2,2]);
+      }
+      if (verification_sub_phase == 16) {
+        response = undefined;
+        shedderRequest("getConfigErrors", function(result, error_code, error_message) {
+          response = def(result) && result.code == 200 ? JSON.parse(result.body).configErrors : undefined;
+        });
+        setCurrentRestriction(7);
+      }
+      if (verification_sub_phase == 26) {
+        let keys = def(response) ? response.map(function(e) { return e.key; }) : [];
+        if(keys.indexOf("fuse_rating_setting") == -1 || keys.indexOf("scan_interval") == -1 || !def(load_status) ||
+           load_status.phases.a.fuseRating != fuse_rating_setting || !shed(switch_status, true, [3])) {
+          log(LOG_ERROR, "KVS validation test ERROR: Expected the invalid settings to be rejected, the " + fuse_rating_setting +
+                         " A fuse rating kept and channel 3 to be shedded, but got: " + JSON.stringify(response) + " " +
+                         JSON.stringify(load_status) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "KVS validation test INFO: The invalid settings were rejected and the current ones kept, restoring the settings");
+        setCurrentRestriction(-1);
+        setSimulatedCurrent([0,0,0,0]);
+        KVSSet({fuse_rating_setting:fuse_rating_setting, scan_interval:target_scan_interval});
+      }
+      if (verification_sub_phase == 26 + 14)
+        shedderRequest("getConfigErrors", function(result, error_code, error_message) {
+          response = def(result) && result.code == 200 ? JSON.parse(result.body).configErrors : undefined;
+        });
+      if (verification_sub_phase == 26 + 16 + Math.ceil(cool_down_time*1.2)) {
+        if(!noShed(switch_status) || !def(response) || response.length != 0){
+          log(LOG_ERROR, "KVS validation test ERROR: Expected no configuration errors nor shedding after restoring the settings but got: " +
+                         JSON.stringify(response) + " " + JSON.stringify(switch_status));
+          stopScript(true);
+          verification_phase = -1;
+          break;
+        }
+        log(LOG_INFO, "KVS validation test SUCSESS: Invalid settings were rejected while the current ones were kept");
+        response = undefined;
+        load_status = undefined;
+        switch_status = undefined;
+        verification_phase++;
+        verification_sub_phase = 0;
+        break;
+      }
+      verification_sub_phase++
+      break;
+
+    default:
+      if (verification_phase > 0 && !verification_done) {
+        log(LOG_INFO, "============= CI SUCCESS: All test cases passed =============");
+        verification_done = true;
+      }
       return;
   }
 
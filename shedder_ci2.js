@@ -36,8 +36,6 @@ let verification_current_vector = new Array(8);
 let verification_trip_data = 0;
 let wait_for_shed = 0;
 let wait_for_cool = 0;
-let calls = 0;
-let shelly_call_records = [];
 let scan_interval = 0.5;
 let current = undefined;
 let switch_status = undefined;